@@ -1,7 +1,7 @@
 /* globals window, document, FileReader */
 import React, { PureComponent } from 'react';
 import ReactDOM from 'react-dom'; // eslint-disable-line
-import ReactCrop from '../lib/ReactCrop';
+import ReactCrop, { CropPreview } from '../lib/ReactCrop';
 import '../dist/ReactCrop.css';
 
 /**
@@ -28,14 +28,12 @@ class App extends PureComponent {
   }
 
   onImageLoaded = (image) => {
-    this.imageRef = image;
-    this.setState({ crop: { width: 50, height: 50 } });
+    this.setState({ image, crop: { width: 50, height: 50 } });
     return false;
   }
 
   onCropComplete = (crop, percentCrop) => {
     console.log('onCropComplete', crop, percentCrop);
-    this.makeClientCrop(crop);
   }
 
   onCropChange = (crop, percentCrop) => {
@@ -52,46 +50,6 @@ class App extends PureComponent {
     console.log('onDragEnd');
   }
 
-  getCroppedImg(image, crop, fileName) {
-    const canvas = document.createElement('canvas');
-    const scaleX = image.naturalWidth / image.width;
-    const scaleY = image.naturalHeight / image.height;
-    canvas.width = crop.width;
-    canvas.height = crop.height;
-    const ctx = canvas.getContext('2d');
-
-    ctx.drawImage(
-      image,
-      crop.x * scaleX,
-      crop.y * scaleY,
-      crop.width * scaleX,
-      crop.height * scaleY,
-      0,
-      0,
-      crop.width,
-      crop.height,
-    );
-
-    return new Promise((resolve) => {
-      canvas.toBlob((blob) => {
-        blob.name = fileName; // eslint-disable-line no-param-reassign
-        window.URL.revokeObjectURL(this.fileUrl);
-        this.fileUrl = window.URL.createObjectURL(blob);
-        resolve(this.fileUrl);
-      }, 'image/jpeg');
-    });
-  }
-
-  makeClientCrop(crop) {
-    if (this.imageRef && crop.width && crop.height) {
-      this.getCroppedImg(
-        this.imageRef,
-        crop,
-        'newFile.jpeg',
-      ).then(croppedImageUrl => this.setState({ croppedImageUrl }));
-    }
-  }
-
   renderSelectionAddon = () => (
     <button
       type="button"
@@ -107,7 +65,7 @@ class App extends PureComponent {
   );
 
   render() {
-    const { croppedImageUrl } = this.state;
+    const { image, crop } = this.state;
 
     return (
       <div className="App">
@@ -128,7 +86,7 @@ class App extends PureComponent {
             // minHeight={90}
           />
         )}
-        {croppedImageUrl && <img alt="Crop" src={croppedImageUrl} />}
+        {image && <CropPreview image={image} crop={crop} width={300} alt="Crop preview" />}
       </div>
     );
   }
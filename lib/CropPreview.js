@@ -0,0 +1,188 @@
+/* globals window */
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import clsx from 'clsx';
+import { getCropOutputSize, drawCroppedImage } from './getCroppedImage';
+import { convertToPercentCrop, getMediaSize, isCropValid } from './cropUtils';
+
+// A live thumbnail of a crop, cheap enough to update on every onChange. Given the `image` (the
+// media passed to onImageLoaded) the crop is drawn onto a canvas, which works for every kind of
+// crop. Given only a `src` the crop is shown by transforming an <img> with CSS, so pixel crops
+// need the `imageWidth`/`imageHeight` of the editor's image to be converted to percent.
+class CropPreview extends PureComponent {
+  state = {}
+
+  componentDidMount() {
+    // A server rendered image may have loaded before we could listen for it.
+    if (this.imageRef && this.imageRef.complete && this.imageRef.naturalWidth) {
+      this.setState({ loadedImage: this.imageRef }); // eslint-disable-line react/no-did-mount-set-state
+    }
+
+    this.drawCanvas();
+  }
+
+  componentDidUpdate() {
+    this.drawCanvas();
+  }
+
+  onImageLoad = (e) => {
+    this.setState({ loadedImage: e.currentTarget });
+  }
+
+  getMedia() {
+    return this.props.image || this.state.loadedImage;
+  }
+
+  // The crop in percent, for the <img> of `src`. Null until it has loaded, or for a pixel crop
+  // without the size of the image it's in.
+  getPercentCrop() {
+    const { crop, imageWidth, imageHeight } = this.props;
+    const { loadedImage } = this.state;
+    const isPixelCrop = crop && crop.unit !== '%' && crop.unit !== 'natural';
+
+    if (!loadedImage || !isCropValid(crop) || (isPixelCrop && !(imageWidth && imageHeight))) {
+      return null;
+    }
+
+    const { naturalWidth, naturalHeight } = getMediaSize(loadedImage);
+    return convertToPercentCrop(crop, imageWidth, imageHeight, naturalWidth, naturalHeight);
+  }
+
+  getOutputSize() {
+    const {
+      image,
+      crop,
+      width,
+      height,
+      maxDimension,
+    } = this.props;
+    const media = this.getMedia();
+    const mediaCrop = image ? crop : this.getPercentCrop();
+
+    if (!media || !isCropValid(mediaCrop)) {
+      return null;
+    }
+
+    return getCropOutputSize(media, mediaCrop, { width, height, maxDimension });
+  }
+
+  // The <img> is scaled so the crop fills the preview, then moved so the crop is in view.
+  getImageStyle() {
+    const percentCrop = this.getPercentCrop();
+
+    if (!percentCrop) {
+      return { visibility: 'hidden' };
+    }
+
+    return {
+      width: `${(100 / percentCrop.width) * 100}%`,
+      height: `${(100 / percentCrop.height) * 100}%`,
+      transform: `translate(${-percentCrop.x}%, ${-percentCrop.y}%)`,
+    };
+  }
+
+  drawCanvas() {
+    const { image, crop, circularCrop } = this.props;
+    const canvas = this.canvasRef;
+
+    if (!canvas) {
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    if (isCropValid(crop) && canvas.width && canvas.height) {
+      // Drawing clips and transforms the context, so undo that for the next draw.
+      ctx.save();
+      drawCroppedImage(ctx, image, crop, { width: canvas.width, height: canvas.height }, circularCrop);
+      ctx.restore();
+    }
+  }
+
+  render() {
+    const {
+      alt,
+      circularCrop,
+      className,
+      image,
+      src,
+      style,
+    } = this.props;
+    const size = this.getOutputSize();
+    const classes = clsx('ReactCrop__preview', {
+      'ReactCrop__preview--circular': circularCrop,
+    }, className);
+    const boxStyle = size ? { width: size.width, height: size.height, ...style } : style;
+
+    if (image) {
+      // Draw at the device's resolution so the preview is as sharp as the image.
+      const pixelRatio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+      return (
+        <canvas
+          ref={(n) => { this.canvasRef = n; }}
+          className={classes}
+          style={boxStyle}
+          width={size ? Math.round(size.width * pixelRatio) : 0}
+          height={size ? Math.round(size.height * pixelRatio) : 0}
+        >
+          {alt}
+        </canvas>
+      );
+    }
+
+    return (
+      <div className={classes} style={boxStyle}>
+        <img
+          ref={(n) => { this.imageRef = n; }}
+          className="ReactCrop__preview-image"
+          style={this.getImageStyle()}
+          src={src}
+          alt={alt}
+          onLoad={this.onImageLoad}
+        />
+      </div>
+    );
+  }
+}
+
+CropPreview.propTypes = {
+  alt: PropTypes.string,
+  circularCrop: PropTypes.bool,
+  className: PropTypes.string,
+  crop: PropTypes.shape({
+    unit: PropTypes.oneOf(['px', '%', 'natural']),
+    x: PropTypes.number,
+    y: PropTypes.number,
+    width: PropTypes.number,
+    height: PropTypes.number,
+  }),
+  height: PropTypes.number,
+  image: PropTypes.shape({}),
+  imageHeight: PropTypes.number,
+  imageWidth: PropTypes.number,
+  maxDimension: PropTypes.number,
+  src: PropTypes.string,
+  style: PropTypes.shape({}),
+  width: PropTypes.number,
+};
+
+CropPreview.defaultProps = {
+  alt: '',
+  circularCrop: false,
+  className: undefined,
+  crop: undefined,
+  height: undefined,
+  image: undefined,
+  imageHeight: undefined,
+  imageWidth: undefined,
+  maxDimension: undefined,
+  src: undefined,
+  style: undefined,
+  width: undefined,
+};
+
+export default CropPreview;
@@ -2,265 +2,193 @@
 import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import clsx from 'clsx';
-
-// Feature detection
+import getCroppedImage, { getCropOutputSize, drawCroppedImage } from './getCroppedImage';
+import CropPreview from './CropPreview';
+import { getHomography, applyHomography } from './perspective';
+import useCrop from './useCrop';
+import { initialCropStrategies, makeInitialCrop } from './initialCrop';
+import { toCropString, parseCropString } from './cropString';
+import {
+  clamp,
+  isCropValid,
+  makeAspectCrop,
+  convertToPercentCrop,
+  convertToPixelCrop,
+  convertToNaturalCrop,
+  convertLimits,
+  resolveCrop,
+  containCrop,
+  validateCrop,
+  getMediaSize,
+  chainHandlers,
+  makePolygonCrop,
+  makePerspectiveCrop,
+  getCropAspect,
+} from './cropUtils';
+import {
+  xOrds,
+  yOrds,
+  xyOrds,
+  createDragData,
+  createNewCrop,
+  createNewCropDragData,
+  createRotateData,
+  moveCrop,
+  snapCrop,
+  scaleCrop,
+  keyboardResizeCrop,
+  movePolygon,
+} from './cropEngine';
+
+// Feature detection, which is skipped when imported without a DOM (server rendering).
 // https://developer.mozilla.org/en-US/docs/Web/API/EventTarget/addEventListener#Improving_scrolling_performance_with_passive_listeners
 let passiveSupported = false;
 
-try {
-  window.addEventListener('test', null, Object.defineProperty({}, 'passive', {
-    get: () => { passiveSupported = true; return true; },
-  }));
-} catch (err) {} // eslint-disable-line no-empty
+if (typeof window !== 'undefined') {
+  try {
+    window.addEventListener('test', null, Object.defineProperty({}, 'passive', {
+      get: () => { passiveSupported = true; return true; },
+    }));
+  } catch (err) {} // eslint-disable-line no-empty
+}
 
 function getClientPos(e) {
-  let pageX;
-  let pageY;
-
-  if (e.touches) {
-    [{ pageX, pageY }] = e.touches;
-  } else {
-    ({ pageX, pageY } = e);
-  }
-
   return {
-    x: pageX,
-    y: pageY,
+    x: e.pageX,
+    y: e.pageY,
   };
 }
 
-function clamp(num, min, max) {
-  return Math.min(Math.max(num, min), max);
+// Images and videos fire an event once their size is known, other media is ready when mounted.
+function hasLoadEvent(media) {
+  return media.naturalWidth !== undefined || media.videoWidth !== undefined;
 }
 
-function isCropValid(crop) {
-  return crop && crop.width && crop.height && !isNaN(crop.width) && !isNaN(crop.height);
+function getDistance(a, b) {
+  return Math.sqrt(((a.x - b.x) ** 2) + ((a.y - b.y) ** 2));
 }
 
-function inverseOrd(ord) {
-  if (ord === 'n') return 's';
-  if (ord === 'ne') return 'sw';
-  if (ord === 'e') return 'w';
-  if (ord === 'se') return 'nw';
-  if (ord === 's') return 'n';
-  if (ord === 'sw') return 'ne';
-  if (ord === 'w') return 'e';
-  if (ord === 'nw') return 'se';
-  return ord;
-}
-
-function makeAspectCrop(crop, imageWidth, imageHeight) {
-  if (isNaN(crop.aspect)) {
-    console.warn('`crop.aspect` should be a number in order to make an aspect crop', crop);
-    return crop;
-  }
-
-  const completeCrop = {
-    unit: 'px',
-    x: 0,
-    y: 0,
-    ...crop,
-  };
-
-  const isPixels = crop.unit === 'px';
-  const imageMaxWidth = isPixels ? imageWidth : 100;
-  const imageMaxHeight = isPixels ? imageHeight : 100;
-
-  function scaleWidth(width) {
-    if (isPixels) return width;
-    return width * imageHeight / imageWidth;
-  }
-
-  function scaleHeight(height) {
-    if (isPixels) return height;
-    return height * imageWidth / imageHeight;
-  }
-
-  if (crop.width) {
-    completeCrop.height = scaleHeight(completeCrop.width / crop.aspect);
-  }
-
-  if (crop.height) {
-    completeCrop.width = scaleWidth(completeCrop.height * crop.aspect);
-  }
-
-  if (completeCrop.y + completeCrop.height > imageMaxHeight) {
-    completeCrop.height = imageMaxHeight - completeCrop.y;
-    completeCrop.width = scaleWidth(completeCrop.height * crop.aspect);
+// Polygon crops have `points`, perspective crops have `corners` keyed by ordinate. A rectangle
+// (such as an initial crop) is taken as its four corners.
+function getShapePoints(crop) {
+  if (crop.corners) {
+    return xyOrds.map(ord => crop.corners[ord]);
   }
 
-  if (completeCrop.x + completeCrop.width > imageMaxWidth) {
-    completeCrop.width = imageMaxWidth - completeCrop.x;
-    completeCrop.height = scaleHeight(completeCrop.width / crop.aspect);
+  if (crop.points) {
+    return crop.points;
   }
 
-  return completeCrop;
+  return [
+    { x: crop.x, y: crop.y },
+    { x: crop.x + crop.width, y: crop.y },
+    { x: crop.x + crop.width, y: crop.y + crop.height },
+    { x: crop.x, y: crop.y + crop.height },
+  ];
 }
 
-function convertToPercentCrop(crop, imageWidth, imageHeight) {
-  if (crop.unit === '%') {
-    return crop;
-  }
-
+function getMidpoint(a, b) {
   return {
-    unit: '%',
-    aspect: crop.aspect,
-    x: crop.x / imageWidth * 100,
-    y: crop.y / imageHeight * 100,
-    width: crop.width / imageWidth * 100,
-    height: crop.height / imageHeight * 100,
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
   };
 }
 
-function convertToPixelCrop(crop, imageWidth, imageHeight) {
-  if (crop.unit === 'px') {
-    return crop;
-  }
+// Composition guide lines as [x1, y1, x2, y2] in percent of the crop selection.
+const guideLines = {
+  thirds: [[100 / 3, 0, 100 / 3, 100], [200 / 3, 0, 200 / 3, 100], [0, 100 / 3, 100, 100 / 3], [0, 200 / 3, 100, 200 / 3]],
+  golden: [[38.2, 0, 38.2, 100], [61.8, 0, 61.8, 100], [0, 38.2, 100, 38.2], [0, 61.8, 100, 61.8]],
+  center: [[50, 0, 50, 100], [0, 50, 100, 50]],
+  diagonals: [[0, 0, 100, 100], [100, 0, 0, 100]],
+};
 
-  return {
-    unit: 'px',
-    aspect: crop.aspect,
-    x: crop.x * imageWidth / 100,
-    y: crop.y * imageHeight / 100,
-    width: crop.width * imageWidth / 100,
-    height: crop.height * imageHeight / 100,
-  };
+// The crop without an image transform it was reported with, for when the image isn't turned.
+function removeTransform(crop) {
+  const {
+    rotate,
+    flipX,
+    flipY,
+    ...rest
+  } = crop;
+
+  return rest;
 }
 
-function isAspectInvalid(crop, imageWidth, imageHeight) {
-  if ((!crop.width && crop.height) || (crop.width && !crop.height)) {
-    return true;
-  }
+// Returns a copy of `crops` with `crop` at `index`, or without the crop at `index` if it's null.
+function replaceCrop(crops, crop, index) {
+  const nextCrops = [...crops];
 
-  if (crop.unit === 'px') {
-    return (
-      crop.width / crop.aspect !== crop.height ||
-      crop.height * crop.aspect !== crop.width ||
-      crop.y + crop.height > imageHeight ||
-      crop.x + crop.width > imageWidth
-    );
+  if (crop) {
+    nextCrops[index] = crop;
+  } else {
+    nextCrops.splice(index, 1);
   }
 
-  const cropX = Math.round((imageWidth * (crop.x / 100)));
-  const cropY = Math.round((imageHeight * (crop.y / 100)));
-  const cropHeight = Math.round((imageHeight * (crop.height / 100)));
-  const cropWidth = Math.round((imageWidth * (crop.width / 100)));
-
-  return (
-    cropWidth / crop.aspect !== cropHeight ||
-    cropHeight * crop.aspect !== cropWidth ||
-    cropY + crop.height > imageHeight ||
-    cropX + crop.width > imageWidth
-  );
+  return nextCrops;
 }
 
-function resolveCrop(crop, imageWidth, imageHeight) {
-  if (crop && crop.aspect && isAspectInvalid(crop, imageWidth, imageHeight)) {
-    return makeAspectCrop(crop, imageWidth, imageHeight);
+class ReactCrop extends PureComponent {
+  // Once a crop is passed in, clearing it shouldn't bring back the one kept before.
+  static getDerivedStateFromProps(props, state) {
+    return props.crop !== undefined && state.crop !== undefined ? { crop: undefined } : null;
   }
 
-  return crop;
-}
-
-function containCrop(prevCrop, crop, imageWidth, imageHeight) {
-  const contained = { ...crop };
-  const isPixels = crop.unit === 'px';
-  const imageMaxWidth = isPixels ? imageWidth : 100;
-  const imageMaxHeight = isPixels ? imageHeight : 100;
-
-  // Non-aspects are simple
-  if (!crop.aspect) {
-    if (crop.x < 0) {
-      contained.x = 0;
-      contained.width += crop.x;
-    } else if ((crop.x + crop.width) > imageMaxWidth) {
-      contained.width = (imageMaxWidth - crop.x);
-    }
+  window = typeof window !== 'undefined' ? window : null
 
-    if ((crop.y + crop.height) > imageMaxHeight) {
-      contained.height = (imageMaxHeight - crop.y);
-    }
+  document = typeof document !== 'undefined' ? document : null
 
-    return contained;
+  state = {
+    // The crop when there's no `crop` prop (uncontrolled), see getCrop.
+    crop: this.props.defaultCrop,
+    // Snapshots of the crop (or crops) for undo. `present` is the last one that was completed.
+    history: { past: [], present: null, future: [] },
   }
 
-  let adjustedForX = false;
-
-  if (crop.x < 0) {
-    contained.x = 0;
-    contained.width += crop.x;
-    contained.height = contained.width / crop.aspect;
-    adjustedForX = true;
-  } else if ((crop.x + crop.width) > imageMaxWidth) {
-    contained.width = (imageMaxWidth - crop.x);
-    contained.height = contained.width / crop.aspect;
-    adjustedForX = true;
-  }
+  // Page positions of the pointers that are down, by pointerId.
+  pointers = {}
 
-  // If sizing in up direction we need to pin Y at the point it
-  // would be at the boundary.
-  if (adjustedForX && prevCrop.y > contained.y) {
-    contained.y = crop.y + (crop.height - contained.height);
-  }
+  componentDidMount() {
+    const options = passiveSupported ? { passive: false } : false;
 
-  let adjustedForY = false;
+    // React's onWheel can't reliably preventDefault (passive by default in some browsers).
+    this.componentRef.addEventListener('wheel', this.onComponentWheel, options);
 
-  if ((contained.y + contained.height) > imageMaxHeight) {
-    contained.height = (imageMaxHeight - crop.y);
-    contained.width = contained.height * crop.aspect;
-    adjustedForY = true;
-  }
+    if (this.imageRef && !hasLoadEvent(this.imageRef)) {
+      this.onMediaLoad(this.imageRef);
+    }
 
-  // If sizing in left direction we need to pin X at the point it
-  // would be at the boundary.
-  if (adjustedForY && prevCrop.x > contained.x) {
-    contained.x = crop.x + (crop.width - contained.width);
+    this.updateValidity();
   }
 
-  return contained;
-}
-
-class ReactCrop extends PureComponent {
-  window = typeof window !== 'undefined' ? window : null
-
-  document = typeof document !== 'undefined' ? document : null
-
-  state = {}
-
-  componentDidMount() {
-    if (!this.document) {
-      return;
+  componentDidUpdate(prevProps, prevState) {
+    if (prevState.history !== this.state.history) {
+      this.props.onHistoryChange({ canUndo: this.canUndo(), canRedo: this.canRedo() });
     }
 
-    const options = passiveSupported ? { passive: false } : false;
-    const doc = this.getDocument();
-
-    doc.addEventListener('mousemove', this.onDocMouseTouchMove, options);
-    doc.addEventListener('touchmove', this.onDocMouseTouchMove, options);
-
-    doc.addEventListener('mouseup', this.onDocMouseTouchEnd, options);
-    doc.addEventListener('touchend', this.onDocMouseTouchEnd, options);
-    doc.addEventListener('touchcancel', this.onDocMouseTouchEnd, options);
+    this.updateValidity();
   }
 
   componentWillUnmount() {
-    const doc = this.getDocument();
-    doc.removeEventListener('mousemove', this.onDocMouseTouchMove);
-    doc.removeEventListener('touchmove', this.onDocMouseTouchMove);
-    
-    doc.removeEventListener('mouseup', this.onDocMouseTouchEnd);
-    doc.removeEventListener('touchend', this.onDocMouseTouchEnd);
-    doc.removeEventListener('touchcancel', this.onDocMouseTouchEnd);
+    this.componentRef.removeEventListener('wheel', this.onComponentWheel);
   }
 
-  onCropMouseTouchDown = (e) => {
-    const { crop, disabled } = this.props;
+  onCropPointerDown = (e, index) => {
+    const { disabled } = this.props;
+    const crop = this.normalizeCrop(this.isMultiCrop() ? this.props.crops[index] : this.getCrop());
 
     if (disabled) {
       return;
     }
 
+    e.stopPropagation(); // The component would start a new crop.
     e.preventDefault(); // Stop drag selection.
+    this.capturePointer(e);
+
+    // A second finger on a selection scales it.
+    if (this.trackPointer(e) > 1) {
+      this.startPinch(e, index);
+      return;
+    }
 
     const clientPos = getClientPos(e);
 
@@ -268,113 +196,179 @@ class ReactCrop extends PureComponent {
     this.componentRef.focus({ preventScroll: true });
 
     const { ord } = e.target.dataset;
-    const xInversed = ord === 'nw' || ord === 'w' || ord === 'sw';
-    const yInversed = ord === 'nw' || ord === 'n' || ord === 'ne';
 
-    let cropOffset;
+    if (ord === 'rotate') {
+      // The box around a rotated element still has the same centre.
+      const { width, height } = e.currentTarget.getBoundingClientRect();
+      const offset = this.getElementOffset(e.currentTarget);
+      const center = { x: offset.left + (width / 2), y: offset.top + (height / 2) };
 
-    if (crop.aspect) {
-      cropOffset = this.getElementOffset(this.cropSelectRef);
+      this.evData = createRotateData(this.makeNewCrop(crop), this.toImageClientPos(clientPos), this.toImageClientPos(center));
+    } else {
+      const cropOffset = crop.aspect ? this.getCropClientOffset(e.currentTarget, crop, clientPos) : undefined;
+      this.evData = createDragData(this.makeNewCrop(crop), this.toImageClientPos(clientPos), ord, cropOffset);
     }
 
-    this.evData = {
-      clientStartX: clientPos.x,
-      clientStartY: clientPos.y,
-      cropStartWidth: crop.width,
-      cropStartHeight: crop.height,
-      cropStartX: xInversed ? (crop.x + crop.width) : crop.x,
-      cropStartY: yInversed ? (crop.y + crop.height) : crop.y,
-      xInversed,
-      yInversed,
-      xCrossOver: xInversed,
-      yCrossOver: yInversed,
-      startXCrossOver: xInversed,
-      startYCrossOver: yInversed,
-      isResize: e.target.dataset.ord,
-      ord,
-      cropOffset,
-    };
-
     this.mouseDownOnCrop = true;
-    this.setState({ cropIsActive: true });
+    this.setState({ cropIsActive: true, activeCropIndex: index });
   }
 
-  onComponentMouseTouchDown = (e) => {
+  onComponentPointerDown = (e) => {
     const {
-      crop,
+      crops,
       disabled,
       locked,
       keepSelection,
       onChange,
     } = this.props;
+    const crop = this.getCrop();
+    const isMultiCrop = this.isMultiCrop();
+
+    if (disabled) {
+      return;
+    }
+
+    // A second finger on the image zooms, or scales the selection if the first is dragging it.
+    if (this.trackPointer(e) > 1) {
+      e.preventDefault();
+      this.capturePointer(e);
+      this.startPinch(e, this.mouseDownOnCrop && !this.state.newCropIsBeingDrawn ? this.state.activeCropIndex : null);
+      return;
+    }
+
+    // A rotated or zoomed out image may not cover the whole component, so allow drawing from the
+    // exposed background. The media can have descendants of its own (an <svg>).
+    const isOnMedia = this.imageRef && this.imageRef.contains(e.target);
 
-    if (e.target !== this.imageRef) {
+    if (!this.imageRef || (!isOnMedia && !(e.target === this.componentRef && this.isViewTransformed()))) {
       return;
     }
 
-    if (disabled || locked || (keepSelection && isCropValid(crop))) {
+    // With multiple crops a new one is added, so there is no selection to keep.
+    const keepsSelection = keepSelection && !isMultiCrop && isCropValid(crop) && !this.state.polygonDrawing;
+
+    if (disabled || locked || keepsSelection) {
       return;
     }
 
     e.preventDefault(); // Stop drag selection.
+    this.capturePointer(e);
 
     const clientPos = getClientPos(e);
 
     // Focus for detecting keypress.
     this.componentRef.focus({ preventScroll: true });
 
-    const imageOffset = this.getElementOffset(this.imageRef);
-    const isPixels = !(crop && crop.unit !== 'px');
-    const x = isPixels ? clientPos.x - imageOffset.left : ((clientPos.x - imageOffset.left) / this.imageRef.width) * 100;
-    const y = isPixels ? clientPos.y - imageOffset.top : ((clientPos.y - imageOffset.top) / this.imageRef.height) * 100;
-
-    const nextCrop = {
-      unit: crop ? crop.unit : 'px',
-      aspect: crop ? crop.aspect : undefined,
-      x,
-      y,
-      width: 0,
-      height: 0,
-    };
+    if (this.isPolygonMode()) {
+      this.addPolygonPoint(clientPos);
+      return;
+    }
+
+    if (this.isPerspectiveMode()) {
+      this.startPerspectiveDraw(clientPos);
+      return;
+    }
+
+    const { width: imageWidth, height: imageHeight } = this.getMediaSize();
+    // New crops follow the unit of the last one (and its aspect or aspect limits unless it's one
+    // of many).
+    const templateCrop = isMultiCrop ? crops[crops.length - 1] : crop;
+    const aspectCrop = templateCrop && !isMultiCrop ? templateCrop : {};
+    const index = isMultiCrop ? crops.length : undefined;
+    const nextCrop = createNewCrop(
+      this.getImagePosition(clientPos),
+      imageWidth,
+      imageHeight,
+      templateCrop && templateCrop.unit,
+      aspectCrop,
+    );
+
+    this.evData = createNewCropDragData(nextCrop, this.toImageClientPos(clientPos));
+
+    this.mouseDownOnCrop = true;
+    this.notifyCrop(onChange, nextCrop, { index });
+    this.setState({ cropIsActive: true, newCropIsBeingDrawn: true, activeCropIndex: index });
+  }
+
+  onPolygonPointerDown = (e) => {
+    const { disabled, locked, onChange } = this.props;
+    const crop = this.makeNewCrop();
+    const { vertex, edge } = e.target.dataset;
+
+    if (disabled) {
+      return;
+    }
+
+    e.stopPropagation(); // The component would start a new polygon.
+    e.preventDefault(); // Stop drag selection.
+    this.capturePointer(e);
+
+    this.trackPointer(e);
+    const clientPos = getClientPos(e);
+
+    if (this.state.polygonDrawing) {
+      // Clicking the first vertex closes the polygon, anywhere else adds a vertex.
+      if (vertex === '0' && crop.points.length > 2) {
+        this.closePolygon();
+      } else {
+        this.addPolygonPoint(clientPos);
+      }
+      return;
+    }
+
+    // Like a locked rectangle a locked polygon can be moved, but not reshaped.
+    let points = getShapePoints(crop);
+    let index;
+
+    if (edge !== undefined && !locked) {
+      index = Number(edge) + 1;
+      points = [...points.slice(0, index), this.getImagePoint(clientPos, crop.unit), ...points.slice(index)];
+    } else if (vertex !== undefined && !locked) {
+      index = Number(vertex);
+    }
+
+    (vertex !== undefined ? e.target : this.componentRef).focus({ preventScroll: true });
+
+    const imageClientPos = this.toImageClientPos(clientPos);
 
     this.evData = {
-      clientStartX: clientPos.x,
-      clientStartY: clientPos.y,
-      cropStartWidth: nextCrop.width,
-      cropStartHeight: nextCrop.height,
-      cropStartX: nextCrop.x,
-      cropStartY: nextCrop.y,
-      xInversed: false,
-      yInversed: false,
-      xCrossOver: false,
-      yCrossOver: false,
-      startXCrossOver: false,
-      startYCrossOver: false,
-      isResize: true,
-      ord: 'nw',
+      polygon: index === undefined ? 'move' : 'vertex',
+      index,
+      startPoints: points,
+      clientStartX: imageClientPos.x,
+      clientStartY: imageClientPos.y,
     };
 
     this.mouseDownOnCrop = true;
-    onChange(
-      convertToPixelCrop(nextCrop, this.imageRef.width, this.imageRef.height),
-      convertToPercentCrop(nextCrop, this.imageRef.width, this.imageRef.height),
-    );
-    this.setState({ cropIsActive: true, newCropIsBeingDrawn: true });
+    this.setState({ cropIsActive: true });
+
+    if (edge !== undefined && !locked) {
+      this.notifyCrop(onChange, this.makeShapeCrop(points, crop.unit));
+    }
   }
 
-  onDocMouseTouchMove = (e) => {
+  onComponentPointerMove = (e) => {
     const {
-      crop,
       disabled,
       onChange,
       onDragStart,
+      resizeFromCenter,
     } = this.props;
+    const crop = this.getActiveCrop();
 
-    if (disabled) {
+    // Ignore hovering, we only care about pointers that went down on the component.
+    if (disabled || !this.pointers[e.pointerId]) {
       return;
     }
 
-    if (!this.mouseDownOnCrop) {
+    this.pointers[e.pointerId] = getClientPos(e);
+
+    if (this.pinchData) {
+      this.movePinch(e);
+      return;
+    }
+
+    if (!this.mouseDownOnCrop || !crop) {
       return;
     }
 
@@ -385,139 +379,292 @@ class ReactCrop extends PureComponent {
       onDragStart(e);
     }
 
-    const { evData } = this;
-    const clientPos = getClientPos(e);
+    if (this.evData.polygon) {
+      const nextPolygonCrop = this.dragPolygon(getClientPos(e));
 
-    if (evData.isResize && crop.aspect && evData.cropOffset) {
-      clientPos.y = this.straightenYPath(clientPos.x);
+      if (nextPolygonCrop) {
+        this.notifyCrop(onChange, nextPolygonCrop);
+      }
+      return;
     }
 
-    evData.xDiff = clientPos.x - evData.clientStartX;
-    evData.xDiffPc = (evData.xDiff / this.imageRef.width) * 100;
-    evData.yDiff = clientPos.y - evData.clientStartY;
-    evData.yDiffPc = (evData.yDiff / this.imageRef.height) * 100;
+    const { width: imageWidth, height: imageHeight } = this.getMediaSize();
+    const currentCrop = this.makeNewCrop();
+    this.evData.angleStep = e.shiftKey ? ReactCrop.angleStepLarge : 0;
+    this.evData.fromCenter = resizeFromCenter || e.altKey;
+
+    // Holding shift while resizing locks the aspect the crop had when it was pressed, by making it
+    // the only preset.
+    const canLockAspect = this.evData.isResize && !currentCrop.aspect && isCropValid(currentCrop);
+    this.evData.lockedAspect = e.shiftKey && canLockAspect ?
+      this.evData.lockedAspect || getCropAspect(currentCrop, imageWidth, imageHeight) :
+      undefined;
+
+    let nextCrop = moveCrop(
+      this.evData.lockedAspect ? { ...currentCrop, aspectPresets: [this.evData.lockedAspect] } : currentCrop,
+      this.evData,
+      this.toImageClientPos(getClientPos(e)),
+      imageWidth,
+      imageHeight,
+      this.getLimits(),
+      this.getZoom(),
+    );
 
-    let nextCrop;
+    // Rotated crops have no straight edges to snap.
+    if (this.isSnapEnabled() && !nextCrop.angle) {
+      nextCrop = this.snapMovedCrop(nextCrop, imageWidth, imageHeight);
+    }
 
-    if (evData.isResize) {
-      nextCrop = this.resizeCrop();
-    } else {
-      nextCrop = this.dragCrop();
+    if (this.evData.lockedAspect) {
+      nextCrop = { ...nextCrop, aspectPresets: currentCrop.aspectPresets };
     }
 
     if (nextCrop !== crop) {
-      onChange(
-        convertToPixelCrop(nextCrop, this.imageRef.width, this.imageRef.height),
-        convertToPercentCrop(nextCrop, this.imageRef.width, this.imageRef.height),
-      );
+      this.notifyCrop(onChange, nextCrop);
     }
   }
 
   onComponentKeyDown = (e) => {
     const {
-      crop,
       disabled,
+      enableHistory,
+      locked,
       onChange,
-      onComplete,
     } = this.props;
+    const crop = this.getActiveCrop();
 
-    if (disabled) {
+    if (disabled || !this.imageRef) {
       return;
     }
 
     const keyCode = e.which;
     let nudged = false;
 
+    if (enableHistory && (e.ctrlKey || e.metaKey)) {
+      if (keyCode === ReactCrop.undoKey && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+        return;
+      }
+
+      if ((keyCode === ReactCrop.undoKey && e.shiftKey) || keyCode === ReactCrop.redoKey) {
+        e.preventDefault();
+        this.redo();
+        return;
+      }
+    }
+
     if (!isCropValid(crop)) {
       return;
     }
 
-    const nextCrop = this.makeNewCrop();
+    if (this.isMultiCrop() && ReactCrop.deleteKeys.indexOf(keyCode) > -1) {
+      if (!locked && !crop.locked) {
+        e.preventDefault(); // Stop the browser navigating back on backspace.
+        this.notifyCrop(onChange, null);
+        this.completeCrop(null);
+        this.setState({ activeCropIndex: undefined });
+      }
+      return;
+    }
+
+    let nextCrop = this.makeNewCrop();
+    const { ord } = e.target.dataset;
+    let { nudgeStep } = ReactCrop;
+    let xStep = 0;
+    let yStep = 0;
+
+    if (e.ctrlKey || e.metaKey) {
+      nudgeStep = ReactCrop.nudgeStepLarge;
+    } else if (e.shiftKey) {
+      nudgeStep = ReactCrop.nudgeStepMedium;
+    }
 
     if (keyCode === ReactCrop.arrowKey.left) {
-      nextCrop.x -= ReactCrop.nudgeStep;
+      xStep = -nudgeStep;
       nudged = true;
     } else if (keyCode === ReactCrop.arrowKey.right) {
-      nextCrop.x += ReactCrop.nudgeStep;
+      xStep = nudgeStep;
       nudged = true;
     } else if (keyCode === ReactCrop.arrowKey.up) {
-      nextCrop.y -= ReactCrop.nudgeStep;
+      yStep = -nudgeStep;
       nudged = true;
     } else if (keyCode === ReactCrop.arrowKey.down) {
-      nextCrop.y += ReactCrop.nudgeStep;
+      yStep = nudgeStep;
       nudged = true;
     }
 
+    // Arrows move the crop the way they point on screen, however the image is turned.
+    const step = this.untransformVector({ x: xStep, y: yStep });
+
+    if (this.isShapeMode()) {
+      this.polygonKeyDown(e, step.x, step.y);
+      return;
+    }
+
+    // Arrow keys on the rotate handle turn the crop (by the nudge step in degrees).
+    if (nudged && ord === 'rotate') {
+      e.preventDefault(); // Stop the page scrolling.
+
+      if (!locked && !crop.locked) {
+        const { width: imageWidth, height: imageHeight } = this.getMediaSize();
+        nextCrop = containCrop(crop, { ...nextCrop, angle: (nextCrop.angle || 0) + xStep + yStep }, imageWidth, imageHeight);
+        this.notifyCrop(onChange, nextCrop);
+        this.completeCrop(nextCrop);
+      }
+      return;
+    }
+
+    // Arrow keys on a focused drag handle resize from it.
+    if (nudged && ord) {
+      e.preventDefault(); // Stop the page scrolling.
+
+      if (!locked && !crop.locked) {
+        const { width: imageWidth, height: imageHeight } = this.getMediaSize();
+        nextCrop = keyboardResizeCrop(this.makeNewCrop(), ord, step.x, step.y, imageWidth, imageHeight, this.getLimits());
+        this.notifyCrop(onChange, nextCrop);
+        this.completeCrop(nextCrop);
+      }
+      return;
+    }
+
     if (nudged) {
       e.preventDefault(); // Stop drag selection.
-
-      if (nextCrop.unit === 'px') {
-        nextCrop.x = clamp(nextCrop.x, 0, this.imageRef.width - nextCrop.width);
-        nextCrop.y = clamp(nextCrop.y, 0, this.imageRef.height - nextCrop.height);
+      nextCrop.x += step.x;
+      nextCrop.y += step.y;
+
+      if (nextCrop.angle) {
+        const { width: imageWidth, height: imageHeight } = this.getMediaSize();
+        nextCrop = containCrop(crop, nextCrop, imageWidth, imageHeight);
+      } else if (nextCrop.unit === 'px') {
+        const { width: imageWidth, height: imageHeight } = this.getMediaSize();
+        nextCrop.x = clamp(nextCrop.x, 0, imageWidth - nextCrop.width);
+        nextCrop.y = clamp(nextCrop.y, 0, imageHeight - nextCrop.height);
       } else {
         nextCrop.x = clamp(nextCrop.x, 0, 100);
         nextCrop.y = clamp(nextCrop.y, 0, 100);
       }
 
-      const pixelCrop = convertToPixelCrop(nextCrop, this.imageRef.width, this.imageRef.height);
-      const percentCrop = convertToPercentCrop(nextCrop, this.imageRef.width, this.imageRef.height);
-      onChange(pixelCrop, percentCrop);
-      onComplete(pixelCrop, percentCrop);
+      this.notifyCrop(onChange, nextCrop);
+      this.completeCrop(nextCrop);
     }
   }
 
-  onDocMouseTouchEnd = (e) => {
-    const {
-      crop,
-      disabled,
-      onComplete,
-      onDragEnd,
-    } = this.props;
+  onComponentPointerUp = (e) => {
+    delete this.pointers[e.pointerId];
 
-    if (disabled) {
+    if (this.props.disabled) {
       return;
     }
 
-    if (this.mouseDownOnCrop) {
-      this.mouseDownOnCrop = false;
-      this.dragStarted = false;
-      onDragEnd(e);
-      onComplete(
-        convertToPixelCrop(crop, this.imageRef.width, this.imageRef.height),
-        convertToPercentCrop(crop, this.imageRef.width, this.imageRef.height),
-      );
-      this.setState({ cropIsActive: false, newCropIsBeingDrawn: false });
+    if (this.pinchData && Object.keys(this.pointers).length < 2) {
+      this.endPinch();
+      return;
+    }
+
+    this.endDrag(e);
+  }
+
+  // The browser took the pointer (e.g. to scroll) or something else captured it, so there won't be
+  // a pointerup. Also called after one, when the capture is released, which changes nothing.
+  onComponentPointerCancel = (e) => {
+    delete this.pointers[e.pointerId];
+
+    if (this.props.disabled) {
+      return;
+    }
+
+    if (this.pinchData) {
+      this.endPinch();
+    }
+
+    this.endDrag(e);
+  }
+
+  onComponentWheel = (e) => {
+    const { disabled, onZoomChange } = this.props;
+
+    if (disabled || !this.imageRef) {
+      return;
+    }
+
+    const zoom = this.getZoom();
+    const clientPos = getClientPos(e);
+    // Firefox can report deltas in lines rather than pixels.
+    const deltaScale = e.deltaMode === 1 ? ReactCrop.wheelLineHeight : 1;
+
+    if (e.ctrlKey || e.metaKey) {
+      // Ctrl + wheel, which is also what trackpad pinches are reported as.
+      if (!onZoomChange) {
+        return;
+      }
+
+      e.preventDefault();
+      const step = e.deltaY < 0 ? 1 + ReactCrop.zoomStep : 1 / (1 + ReactCrop.zoomStep);
+      this.zoomAndPan(zoom * step, clientPos, clientPos);
+    } else if (zoom > 1) {
+      e.preventDefault();
+      const center = this.getViewCenter();
+      const { width, height } = this.getMediaSize();
+      this.setViewCenter({
+        x: center.x + ((e.deltaX * deltaScale) / width / zoom),
+        y: center.y + ((e.deltaY * deltaScale) / height / zoom),
+      }, zoom);
     }
   }
 
-  onImageLoad(image) {
+  // The form is being submitted (or checked) while the crop is invalid.
+  onValidityInvalid = (e) => {
+    this.props.onInvalid(e.target.validationMessage, e);
+  }
+
+  onMediaLoad(media) {
     const {
       onComplete,
       onChange,
       onImageLoaded,
+      initialCrop,
     } = this.props;
-
-    const crop = this.makeNewCrop();
-    const resolvedCrop = resolveCrop(crop, image.width, image.height);
+    const { width, height } = getMediaSize(media);
 
     // Return false from onImageLoaded if you set the crop with setState in there as otherwise
-    // the subsequent onChange + onComplete will not have your updated crop.
-    const res = onImageLoaded(image);
+    // the subsequent onChange + onComplete will not have your updated crop. That isn't needed for
+    // setCrop.
+    if (this.isMultiCrop()) {
+      const resolvedCrops = this.props.crops.map(crop => resolveCrop(this.makeNewCrop(this.normalizeCrop(crop)), width, height));
+
+      if (onImageLoaded(media) !== false) {
+        this.notifyCrops(onChange, resolvedCrops);
+        this.notifyCrops(onComplete, resolvedCrops);
+        this.resetHistory(resolvedCrops);
+      }
+      return;
+    }
+
+    const res = onImageLoaded(media);
+    let crop = this.makeNewCrop();
+
+    // Only when there isn't a crop yet, e.g. it can be restored instead.
+    if (initialCrop && !isCropValid(crop) && !this.isShapeMode()) {
+      crop = makeInitialCrop(media, crop, initialCrop, this.getLimits());
+    }
+
+    const resolvedCrop = resolveCrop(crop, width, height);
 
     if (res !== false) {
-      const pixelCrop = convertToPixelCrop(resolvedCrop, image.width, image.height);
-      const percentCrop = convertToPercentCrop(resolvedCrop, image.width, image.height);
-      onChange(pixelCrop, percentCrop);
-      onComplete(pixelCrop, percentCrop);
+      this.notifyCrop(onChange, resolvedCrop);
+      this.notifyCrop(onComplete, resolvedCrop, { isComplete: true });
+      this.resetHistory(resolvedCrop);
     }
   }
 
+  // The globals are only read when they're defined, so server rendering doesn't throw.
   getDocument() {
-    return this.document || document || {};
+    return this.document || {};
   }
 
   getWindow() {
-    return this.window || window || {};
+    return this.window || {};
   }
 
   getDocumentOffset() {
@@ -541,287 +688,1322 @@ class ReactCrop extends PureComponent {
     return { top, left };
   }
 
-  getCropStyle() {
-    const crop = this.makeNewCrop();
+  // Maps a page position to pixels of the unzoomed component box. The image is zoomed with a CSS
+  // transform, so we can't use its own bounding rect. Instead use the component, which always has
+  // the size of the untransformed image.
+  getViewPosition(clientPos) {
+    const { width, height } = this.getMediaSize();
+    const offset = this.getElementOffset(this.componentRef);
+    const zoom = this.getZoom();
+    const center = this.getViewCenter();
 
     return {
-      top: `${crop.y}${crop.unit}`,
-      left: `${crop.x}${crop.unit}`,
-      width: `${crop.width}${crop.unit}`,
-      height: `${crop.height}${crop.unit}`,
+      x: (center.x * width) + ((clientPos.x - offset.left - (width / 2)) / zoom),
+      y: (center.y * height) + ((clientPos.y - offset.top - (height / 2)) / zoom),
     };
   }
 
-  getLimits() {
-    const {
-      crop,
-      minWidth,
-      maxWidth,
-      minHeight,
-      maxHeight,
-    } = this.props;
+  // Maps a page position to pixels of the image itself, turning it back through the rotation and
+  // flip (which are around the image centre).
+  getImagePosition(clientPos) {
+    const { width, height } = this.getMediaSize();
+    const viewPos = this.getViewPosition(clientPos);
 
-    if (crop.unit === 'px') {
-      return {
-        minWidth,
-        maxWidth,
-        minHeight,
-        maxHeight,
-      };
+    if (!this.isImageTransformed()) {
+      return viewPos;
     }
 
-    // Convert (min/max is in pixels since v7).
-    return {
-      minWidth: minWidth / this.imageRef.width * 100,
-      maxWidth: maxWidth / this.imageRef.width * 100,
-      minHeight: minHeight / this.imageRef.height * 100,
-      maxHeight: maxHeight / this.imageRef.height * 100,
-    };
+    const point = this.untransformVector({ x: viewPos.x - (width / 2), y: viewPos.y - (height / 2) });
+
+    return { x: (width / 2) + point.x, y: (height / 2) + point.y };
   }
 
-  getNewSize() {
-    const { crop } = this.props;
-    const { evData } = this;
-    const isPixels = crop.unit === 'px';
-    const imageWidth = this.imageRef.width;
-    const imageHeight = this.imageRef.height;
-    const limits = this.getLimits();
+  // Like getImagePosition but clamped to the image and in the given unit.
+  getImagePoint(clientPos, unit) {
+    const { width, height } = this.getMediaSize();
+    const imagePos = this.getImagePosition(clientPos);
+    const x = clamp(imagePos.x, 0, width);
+    const y = clamp(imagePos.y, 0, height);
 
-    // New width.
-    let newWidth = isPixels ? evData.cropStartWidth + evData.xDiff : evData.cropStartWidth + evData.xDiffPc;
+    return unit === '%' ? { x: (x / width) * 100, y: (y / height) * 100 } : { x, y };
+  }
 
-    if (evData.xCrossOver) {
-      newWidth = Math.abs(newWidth);
+  // The page position of the crop's top left, in the same turned back space as toImageClientPos.
+  getCropClientOffset(cropElement, crop, clientPos) {
+    if (!this.isImageTransformed()) {
+      return this.getElementOffset(cropElement);
     }
 
-    newWidth = clamp(newWidth, limits.minWidth, limits.maxWidth || imageWidth);
+    const { width, height } = this.getMediaSize();
+    const pixelCrop = convertToPixelCrop(crop, width, height);
+    const imagePos = this.getImagePosition(clientPos);
+    const imageClientPos = this.toImageClientPos(clientPos);
+    const zoom = this.getZoom();
 
-    // New height.
-    let newHeight;
+    return {
+      left: imageClientPos.x - ((imagePos.x - pixelCrop.x) * zoom),
+      top: imageClientPos.y - ((imagePos.y - pixelCrop.y) * zoom),
+    };
+  }
 
-    if (crop.aspect) {
-      newHeight = newWidth / crop.aspect;
-    } else {
-      newHeight = isPixels ?
-        evData.cropStartHeight + evData.yDiff :
-        evData.cropStartHeight + evData.yDiffPc;
-    }
+  getZoom() {
+    const { zoom, minZoom, maxZoom } = this.props;
+    return clamp(zoom, minZoom, maxZoom);
+  }
 
-    if (evData.yCrossOver) {
-      // Cap if polarity is inversed and the height fills the y space.
-      newHeight = Math.min(Math.abs(newHeight), evData.cropStartY);
+  // The point of the image (as a fraction of its size) in the centre of the component.
+  getViewCenter(zoom = this.getZoom(), viewCenter = this.state.viewCenter) {
+    if (zoom <= 1 || !viewCenter) {
+      return { x: 0.5, y: 0.5 };
     }
 
-    newHeight = clamp(newHeight, limits.minHeight, limits.maxHeight || imageHeight);
-
-    if (crop.aspect) {
-      newWidth = clamp(newHeight * crop.aspect, 0, imageWidth);
-    }
+    // Don't allow panning past the image edges.
+    const halfView = 0.5 / zoom;
 
     return {
-      width: newWidth,
-      height: newHeight,
+      x: clamp(viewCenter.x, halfView, 1 - halfView),
+      y: clamp(viewCenter.y, halfView, 1 - halfView),
     };
   }
 
-  dragCrop() {
-    const nextCrop = this.makeNewCrop();
-    const { evData } = this;
-
-    if (nextCrop.unit === 'px') {
-      nextCrop.x = clamp(evData.cropStartX + evData.xDiff, 0, this.imageRef.width - nextCrop.width);
-      nextCrop.y = clamp(evData.cropStartY + evData.yDiff, 0, this.imageRef.height - nextCrop.height);
-    } else {
-      nextCrop.x = clamp(evData.cropStartX + evData.xDiffPc, 0, 100 - nextCrop.width);
-      nextCrop.y = clamp(evData.cropStartY + evData.yDiffPc, 0, 100 - nextCrop.height);
-    }
+  setViewCenter(viewCenter, zoom) {
+    this.setState({ viewCenter: this.getViewCenter(zoom, viewCenter) });
+  }
 
-    return nextCrop;
+  // The `crop` prop, or without one the crop the component keeps itself (starting as the
+  // `defaultCrop`). In the unit it was given in. Use `crops` for many crops.
+  getCrop() {
+    return this.props.crop !== undefined ? this.props.crop : this.state.crop;
   }
 
-  resizeCrop() {
-    const { evData } = this;
-    const nextCrop = this.makeNewCrop();
-    const { ord } = evData;
+  // Changes the crop like the user would, calling onChange and onComplete (and it can be undone).
+  // Before the media has loaded an uncontrolled crop is only kept, to be completed when it has,
+  // and a controlled one is left alone as onChange can't be called without the media's size.
+  setCrop(crop) {
+    const isControlled = this.props.crop !== undefined;
 
-    // On the inverse change the diff so it's the same and
-    // the same algo applies.
-    if (evData.xInversed) {
-      evData.xDiff -= evData.cropStartWidth * 2;
-      evData.xDiffPc -= evData.cropStartWidth * 2;
-    }
-    if (evData.yInversed) {
-      evData.yDiff -= evData.cropStartHeight * 2;
-      evData.yDiffPc -= evData.cropStartHeight * 2;
+    if (!this.imageRef || !this.getMediaSize().width) {
+      if (!isControlled) {
+        this.setState({ crop });
+      }
+      return;
     }
 
-    // New size.
-    const newSize = this.getNewSize();
-
-    // Adjust x/y to give illusion of 'staticness' as width/height is increased
-    // when polarity is inversed.
-    let newX = evData.cropStartX;
-    let newY = evData.cropStartY;
-
-    if (evData.xCrossOver) {
-      newX = nextCrop.x + (nextCrop.width - newSize.width);
+    // An uncontrolled crop is kept first, so a natural one stays natural.
+    if (isControlled) {
+      this.applyCrop(crop);
+    } else {
+      this.setState({ crop }, () => this.applyCrop(crop));
     }
+  }
 
-    if (evData.yCrossOver) {
-      // This not only removes the little "shake" when inverting at a diagonal, but for some
-      // reason y was way off at fast speeds moving sw->ne with fixed aspect only, I couldn't
-      // figure out why.
-      if (evData.lastYCrossover === false) {
-        newY = nextCrop.y - newSize.height;
-      } else {
-        newY = nextCrop.y + (nextCrop.height - newSize.height);
-      }
+  getActiveCrop() {
+    if (this.isMultiCrop()) {
+      return this.normalizeCrop(this.props.crops[this.state.activeCropIndex]);
     }
 
-    const containedCrop = containCrop(this.props.crop, {
-      unit: nextCrop.unit,
-      x: newX,
-      y: newY,
-      width: newSize.width,
-      height: newSize.height,
-      aspect: nextCrop.aspect,
-    }, this.imageRef.width, this.imageRef.height);
+    return this.normalizeCrop(this.getCrop());
+  }
+
+  getCroppedImage(options) {
+    const { circularCrop } = this.props;
+    return getCroppedImage(this.imageRef, this.getActiveCrop(), { circularCrop, ...options });
+  }
+
+  getCropStyle(crop = this.makeNewCrop()) {
+    const zoom = this.getZoom();
+    // Turns around the centre, which zooming doesn't change.
+    const transform = crop.angle ? `rotate(${crop.angle}deg)` : undefined;
 
-    // Apply x/y/width/height changes depending on ordinate (fixed aspect always applies both).
-    if (nextCrop.aspect || ReactCrop.xyOrds.indexOf(ord) > -1) {
-      nextCrop.x = containedCrop.x;
-      nextCrop.y = containedCrop.y;
-      nextCrop.width = containedCrop.width;
-      nextCrop.height = containedCrop.height;
-    } else if (ReactCrop.xOrds.indexOf(ord) > -1) {
-      nextCrop.x = containedCrop.x;
-      nextCrop.width = containedCrop.width;
-    } else if (ReactCrop.yOrds.indexOf(ord) > -1) {
-      nextCrop.y = containedCrop.y;
-      nextCrop.height = containedCrop.height;
+    if (zoom === 1) {
+      return {
+        top: `${crop.y}${crop.unit}`,
+        left: `${crop.x}${crop.unit}`,
+        width: `${crop.width}${crop.unit}`,
+        height: `${crop.height}${crop.unit}`,
+        transform,
+      };
     }
 
-    evData.lastYCrossover = evData.yCrossOver;
-    this.crossOverCheck();
+    // Position the crop over the zoomed image, keeping to the crop's unit.
+    const center = this.getViewCenter(zoom);
+    const isPixels = crop.unit === 'px';
+    const imageSize = this.getMediaSize();
+    const boxWidth = isPixels ? imageSize.width : 100;
+    const boxHeight = isPixels ? imageSize.height : 100;
 
-    return nextCrop;
+    return {
+      top: `${(boxHeight / 2) + ((crop.y - (center.y * boxHeight)) * zoom)}${crop.unit}`,
+      left: `${(boxWidth / 2) + ((crop.x - (center.x * boxWidth)) * zoom)}${crop.unit}`,
+      width: `${crop.width * zoom}${crop.unit}`,
+      height: `${crop.height * zoom}${crop.unit}`,
+      transform,
+    };
   }
 
-  straightenYPath(clientX) {
-    const { evData } = this;
-    const { ord } = evData;
-    const { cropOffset, cropStartWidth, cropStartHeight } = evData;
-    let k;
-    let d;
-
-    if (ord === 'nw' || ord === 'se') {
-      k = cropStartHeight / cropStartWidth;
-      d = cropOffset.top - (cropOffset.left * k);
+  getLimits() {
+    const crop = this.makeNewCrop();
+    // Limits on the crop itself (used when there are many crops) take precedence.
+    const {
+      minWidth = this.props.minWidth,
+      maxWidth = this.props.maxWidth,
+      minHeight = this.props.minHeight,
+      maxHeight = this.props.maxHeight,
+    } = crop;
+
+    const { width, height } = this.getLimitsBaseSize();
+    const imageSize = this.getMediaSize();
+
+    // Min/max is in pixels since v7, of the rendered or natural image.
+    return convertLimits({
+      minWidth,
+      maxWidth,
+      minHeight,
+      maxHeight,
+    }, crop.unit, imageSize.width, imageSize.height, width, height);
+  }
+
+  getLimitsBaseSize() {
+    const {
+      width,
+      height,
+      naturalWidth,
+      naturalHeight,
+    } = this.getMediaSize();
+
+    if (this.props.limitsUnit === 'natural') {
+      return { width: naturalWidth, height: naturalHeight };
+    }
+
+    return { width, height };
+  }
+
+  // The positions of the (first) two pointers that are down.
+  getPinchPointers() {
+    const [a, b] = Object.keys(this.pointers).map(id => this.pointers[id]);
+    return [a, b];
+  }
+
+  // The displayed and intrinsic size of the image, video, canvas or svg being cropped.
+  getMediaSize() {
+    return getMediaSize(this.imageRef);
+  }
+
+  // The crops with a size, in natural pixels and percent, for a form. None until the media has
+  // loaded.
+  getFormCrops() {
+    if (!this.imageRef || !this.getMediaSize().width) {
+      return [];
+    }
+
+    const {
+      width,
+      height,
+      naturalWidth,
+      naturalHeight,
+    } = this.getMediaSize();
+    const crops = this.isMultiCrop() ? this.props.crops : [this.getCrop()];
+
+    return crops.filter(isCropValid).map((crop) => {
+      const pixelCrop = convertToPixelCrop(this.makeNewCrop(this.normalizeCrop(crop)), width, height);
+
+      return {
+        natural: convertToNaturalCrop(pixelCrop, width, height, naturalWidth, naturalHeight),
+        percent: convertToPercentCrop(pixelCrop, width, height),
+      };
+    });
+  }
+
+  getValidationMessages() {
+    return {
+      ...ReactCrop.defaultProps.validationMessages,
+      ...this.props.validationMessages,
+    };
+  }
+
+  // Why the crop can't be submitted, or an empty string. The min size is in `limitsUnit`
+  // pixels, like when resizing.
+  getValidationMessage() {
+    const { required, minWidth, minHeight } = this.props;
+    const messages = this.getValidationMessages();
+    const crops = this.isMultiCrop() ? this.props.crops : [this.getCrop()];
+
+    if (!crops.some(isCropValid)) {
+      return required ? messages.required : '';
+    }
+
+    const { width, height } = this.getLimitsBaseSize();
+    // Allow for rounding.
+    const isTooSmall = this.getFormCrops().some(({ percent }) => (
+      ((percent.width / 100) * width) + 1e-6 < minWidth ||
+      ((percent.height / 100) * height) + 1e-6 < minHeight
+    ));
+
+    if (!isTooSmall) {
+      return '';
+    }
+
+    // Only name the limits that are set.
+    let message = messages.tooSmall;
+
+    if (!minHeight) {
+      message = messages.tooNarrow;
+    } else if (!minWidth) {
+      message = messages.tooShort;
+    }
+
+    return message.replace('{minWidth}', minWidth).replace('{minHeight}', minHeight);
+  }
+
+  // Lines (in rendered pixels) that a crop edge along the given axis can snap to.
+  getSnapLines(size) {
+    const { snapToEdges, snapToCenter, snapGrid } = this.props;
+    const lines = [];
+
+    if (snapToEdges) {
+      lines.push(0, size);
+    }
+
+    if (snapToCenter) {
+      lines.push(size / 2);
+    }
+
+    if (snapGrid > 0) {
+      for (let line = snapGrid; line < size; line += snapGrid) {
+        lines.push(line);
+      }
+    }
+
+    return lines;
+  }
+
+  setSnapGuides(snapGuides) {
+    if (snapGuides || this.state.snapGuides) {
+      this.setState({ snapGuides });
+    }
+  }
+
+  getAriaLabels() {
+    return {
+      ...ReactCrop.defaultProps.ariaLabels,
+      ...this.props.ariaLabels,
+    };
+  }
+
+  getGuides() {
+    const { guides, ruleOfThirds } = this.props;
+
+    if (ruleOfThirds && guides.indexOf('thirds') === -1) {
+      return ['thirds', ...guides];
+    }
+
+    return guides;
+  }
+
+  getCropTransform() {
+    const { rotate, flipX, flipY } = this.props;
+    return { rotate, flipX, flipY };
+  }
+
+  getImageTransform() {
+    const { rotate, flipX, flipY } = this.props;
+    return `rotate(${rotate}deg) scale(${flipX ? -1 : 1}, ${flipY ? -1 : 1})`;
+  }
+
+  getImageStyle() {
+    const { imageStyle } = this.props;
+
+    if (!this.isViewTransformed()) {
+      return imageStyle;
+    }
+
+    const zoom = this.getZoom();
+    const center = this.getViewCenter(zoom);
+    const transforms = [];
+
+    if (zoom !== 1) {
+      // The image is scaled around its centre, translate so the view centre is in the middle.
+      transforms.push(`translate(${(0.5 - center.x) * zoom * 100}%, ${(0.5 - center.y) * zoom * 100}%)`);
+      transforms.push(`scale(${zoom})`);
+    }
+
+    if (this.isImageTransformed()) {
+      transforms.push(this.getImageTransform());
+    }
+
+    return {
+      ...imageStyle,
+      transform: transforms.join(' '),
+    };
+  }
+
+  // Crops are of the image's own pixels, so they're turned and flipped with it. The layer they're
+  // in covers the component, and the image centre moves with the zoom.
+  getCropLayerStyle() {
+    const zoom = this.getZoom();
+    const center = this.getViewCenter(zoom);
+
+    return {
+      transformOrigin: `${50 + ((0.5 - center.x) * zoom * 100)}% ${50 + ((0.5 - center.y) * zoom * 100)}%`,
+      transform: this.getImageTransform(),
+    };
+  }
+
+  // The crop engine only looks at how far the pointer moved on the page. Turn that back through the
+  // image's rotation and flip, so a move is along the image's own axes like the crop.
+  toImageClientPos(clientPos) {
+    return this.isImageTransformed() ? this.untransformVector(clientPos) : clientPos;
+  }
+
+  // Undoes the `rotate` and `flipX`/`flipY` of a vector on screen.
+  untransformVector(vector) {
+    const { rotate, flipX, flipY } = this.props;
+    const radians = (-rotate * Math.PI) / 180;
+    // Rounded so that quarter turns are exact.
+    const cos = Math.round(Math.cos(radians) * 1e12) / 1e12;
+    const sin = Math.round(Math.sin(radians) * 1e12) / 1e12;
+    const x = (vector.x * cos) - (vector.y * sin);
+    const y = (vector.x * sin) + (vector.y * cos);
+
+    return { x: flipX ? -x : x, y: flipY ? -y : y };
+  }
+
+  // Zoom so that the image point under `fromClientPos` ends up under `toClientPos`.
+  zoomAndPan(nextZoom, fromClientPos, toClientPos) {
+    const {
+      minZoom,
+      maxZoom,
+      onZoomChange,
+    } = this.props;
+    const zoom = this.getZoom();
+    const clampedZoom = onZoomChange ? clamp(nextZoom, minZoom, maxZoom) : zoom;
+    const { width, height } = this.getMediaSize();
+    const imagePos = this.getViewPosition(fromClientPos);
+    const offset = this.getElementOffset(this.componentRef);
+
+    this.setViewCenter({
+      x: (imagePos.x / width) - (((toClientPos.x - offset.left) / width) - 0.5) / clampedZoom,
+      y: (imagePos.y / height) - (((toClientPos.y - offset.top) / height) - 0.5) / clampedZoom,
+    }, clampedZoom);
+
+    if (clampedZoom !== zoom) {
+      onZoomChange(clampedZoom);
+    }
+  }
+
+  // Returns how many pointers are down on the component.
+  trackPointer(e) {
+    this.pointers[e.pointerId] = getClientPos(e);
+    return Object.keys(this.pointers).length;
+  }
+
+  // Keeps getting the pointer's events when it leaves the component, so we don't have to listen on
+  // the document. Not on buttons (e.g. in the children), as their clicks would go to the component.
+  capturePointer(e) {
+    const { componentRef } = this;
+    const isOnButton = e.target.closest && e.target.closest('button');
+
+    if (componentRef.setPointerCapture && !isOnButton && !componentRef.hasPointerCapture(e.pointerId)) {
+      componentRef.setPointerCapture(e.pointerId);
+    }
+  }
+
+  // Starts scaling the crop at `cropIndex` (undefined for a single crop), or zooming when null.
+  startPinch(e, cropIndex) {
+    const { locked } = this.props;
+    const [a, b] = this.getPinchPointers();
+    const crop = this.normalizeCrop(this.isMultiCrop() ? this.props.crops[cropIndex] : this.getCrop());
+    const canResize = cropIndex !== null && !locked && isCropValid(crop) && !crop.locked;
+
+    // Finish anything the first finger started.
+    if (this.mouseDownOnCrop) {
+      this.endDrag(e);
+    }
+
+    this.pinchData = {
+      startDistance: getDistance(a, b),
+      startZoom: this.getZoom(),
+      midpoint: getMidpoint(a, b),
+      startCrop: canResize ? this.makeNewCrop(crop) : null,
+    };
+
+    if (canResize) {
+      this.setState({ cropIsActive: true, activeCropIndex: cropIndex });
+    }
+  }
+
+  movePinch(e) {
+    const { pinchData } = this;
+    const [a, b] = this.getPinchPointers();
+    const scale = getDistance(a, b) / pinchData.startDistance;
+
+    e.preventDefault(); // Stop the page zooming.
+
+    if (pinchData.startCrop) {
+      const { width: imageWidth, height: imageHeight } = this.getMediaSize();
+      const nextCrop = scaleCrop(pinchData.startCrop, scale, imageWidth, imageHeight, this.getLimits());
+
+      this.notifyCrop(this.props.onChange, nextCrop);
+      return;
+    }
+
+    const midpoint = getMidpoint(a, b);
+
+    this.zoomAndPan(pinchData.startZoom * scale, pinchData.midpoint, midpoint);
+    pinchData.midpoint = midpoint;
+  }
+
+  endPinch() {
+    const { startCrop } = this.pinchData;
+
+    this.pinchData = null;
+
+    if (startCrop) {
+      this.completeCrop(this.getActiveCrop());
+      this.setState({ cropIsActive: false });
+    }
+  }
+
+  endDrag(e) {
+    const { onChange, onDragEnd } = this.props;
+    const crop = this.getActiveCrop();
+
+    if (this.mouseDownOnCrop) {
+      this.mouseDownOnCrop = false;
+      this.dragStarted = false;
+      onDragEnd(e);
+
+      if (this.evData.polygon) {
+        this.endPolygonDrag();
+        return;
+      }
+
+      // A click without a drag shouldn't leave an empty crop behind when there are many.
+      if (this.isMultiCrop() && this.state.newCropIsBeingDrawn && !isCropValid(crop)) {
+        this.notifyCrop(onChange, null);
+        this.completeCrop(null);
+        this.setState({ cropIsActive: false, newCropIsBeingDrawn: false, activeCropIndex: undefined });
+        return;
+      }
+
+      this.completeCrop(crop);
+      this.setState({ cropIsActive: false, newCropIsBeingDrawn: false, snapGuides: null });
+    }
+  }
+
+  // Snaps the crop to the image edges, centre lines or grid, and shows the guides it snapped to.
+  // The threshold is in screen pixels.
+  snapMovedCrop(crop, imageWidth, imageHeight) {
+    const threshold = this.props.snapThreshold / this.getZoom();
+    const snapped = snapCrop(
+      crop,
+      this.evData,
+      this.getSnapLines(imageWidth),
+      this.getSnapLines(imageHeight),
+      threshold,
+      imageWidth,
+      imageHeight,
+      this.getLimits(),
+    );
+
+    this.setSnapGuides(snapped.guides);
+    return snapped.crop;
+  }
+
+  takeHistorySnapshot() {
+    if (this.isMultiCrop()) {
+      return [...this.props.crops];
+    }
+
+    return this.makeNewCrop();
+  }
+
+  resetHistory(snapshot) {
+    this.setState({ history: { past: [], present: snapshot, future: [] } });
+  }
+
+  // Calls onComplete after a user change, and makes the last completed crop undoable if this one
+  // is different.
+  completeCrop(crop) {
+    const { enableHistory, historyLimit, onComplete } = this.props;
+
+    this.notifyCrop(onComplete, crop, { isComplete: true });
+
+    if (!enableHistory) {
+      return;
+    }
+
+    // The new crop may not have been passed back in yet, so work out the snapshot from it.
+    const snapshot = this.isMultiCrop() ?
+      replaceCrop(this.props.crops, crop, this.state.activeCropIndex) :
+      this.makeNewCrop(crop);
+
+    this.setState(({ history }) => {
+      // Clicks and key presses that didn't change anything aren't worth undoing.
+      if (JSON.stringify(history.present) === JSON.stringify(snapshot)) {
+        return null;
+      }
+
+      return {
+        history: {
+          past: history.present ? [...history.past, history.present].slice(-historyLimit) : history.past,
+          present: snapshot,
+          future: [],
+        },
+      };
+    });
+  }
+
+  restoreHistorySnapshot(snapshot) {
+    const { onChange, onComplete } = this.props;
+
+    if (this.isMultiCrop()) {
+      this.notifyCrops(onChange, snapshot);
+      this.notifyCrops(onComplete, snapshot);
+      this.setState({ activeCropIndex: undefined });
     } else {
-      k = -cropStartHeight / cropStartWidth;
-      d = cropOffset.top + (cropStartHeight - (cropOffset.left * k));
+      this.notifyCrop(onChange, snapshot);
+      this.notifyCrop(onComplete, snapshot, { isComplete: true });
+    }
+  }
+
+  canUndo() {
+    return this.state.history.past.length > 0;
+  }
+
+  canRedo() {
+    return this.state.history.future.length > 0;
+  }
+
+  undo() {
+    const { past, future } = this.state.history;
+
+    if (!this.canUndo() || !this.imageRef) {
+      return;
+    }
+
+    const snapshot = past[past.length - 1];
+
+    this.setState({
+      history: {
+        past: past.slice(0, -1),
+        present: snapshot,
+        future: [...future, this.takeHistorySnapshot()],
+      },
+    });
+    this.restoreHistorySnapshot(snapshot);
+  }
+
+  redo() {
+    const { past, future } = this.state.history;
+
+    if (!this.canRedo() || !this.imageRef) {
+      return;
     }
 
-    return (k * clientX) + d;
+    const snapshot = future[future.length - 1];
+
+    this.setState({
+      history: {
+        past: [...past, this.takeHistorySnapshot()],
+        present: snapshot,
+        future: future.slice(0, -1),
+      },
+    });
+    this.restoreHistorySnapshot(snapshot);
+  }
+
+  applyCrop(crop) {
+    const { width, height } = this.getMediaSize();
+    const nextCrop = resolveCrop(this.makeNewCrop(this.normalizeCrop(crop || {})), width, height);
+
+    this.notifyCrop(this.props.onChange, nextCrop);
+    this.completeCrop(nextCrop);
   }
 
-  createCropSelection() {
-    const { disabled, locked, renderSelectionAddon } = this.props;
-    const style = this.getCropStyle();
+  // Goes back to the `defaultCrop`, or no crop.
+  reset() {
+    this.setCrop(this.props.defaultCrop);
+  }
+
+  isPolygonMode() {
+    return this.props.mode === 'polygon' && !this.isMultiCrop();
+  }
+
+  isPerspectiveMode() {
+    return this.props.mode === 'perspective' && !this.isMultiCrop();
+  }
+
+  // Both polygon and perspective crops are edited as a list of points.
+  isShapeMode() {
+    return this.isPolygonMode() || this.isPerspectiveMode();
+  }
+
+  makeShapeCrop(points, unit) {
+    if (this.isPerspectiveMode()) {
+      return makePerspectiveCrop(xyOrds.reduce((corners, ord, i) => ({ ...corners, [ord]: points[i] }), {}), unit);
+    }
+
+    return makePolygonCrop(points, unit);
+  }
+
+  // A perspective crop starts out as the rectangle dragged out on the image.
+  startPerspectiveDraw(clientPos) {
+    const { onChange } = this.props;
+    const crop = this.getActiveCrop();
+    const unit = crop && crop.unit === '%' ? '%' : 'px';
+    const point = this.getImagePoint(clientPos, unit);
+
+    this.evData = { polygon: 'rect', startPoint: point };
+    this.mouseDownOnCrop = true;
+    this.notifyCrop(onChange, this.makeShapeCrop([point, point, point, point], unit));
+    this.setState({ cropIsActive: true, newCropIsBeingDrawn: true });
+  }
+
+  // Pressing on the image starts a new polygon, which is drawn freehand (a lasso) if the pointer is
+  // dragged. Otherwise it stays open and each click adds a vertex, until it's closed.
+  addPolygonPoint(clientPos) {
+    const { onChange } = this.props;
+    const { polygonDrawing } = this.state;
+    const crop = this.getActiveCrop();
+    const unit = crop && crop.unit === '%' ? '%' : 'px';
+    const point = this.getImagePoint(clientPos, unit);
+    const points = polygonDrawing && crop.points ? [...crop.points, point] : [point];
+
+    this.evData = { polygon: 'draw', lastClientPos: clientPos };
+    this.mouseDownOnCrop = true;
+    this.notifyCrop(onChange, makePolygonCrop(points, unit));
+    this.setState({ cropIsActive: true, newCropIsBeingDrawn: true, polygonDrawing: true });
+  }
+
+  // Returns the next polygon or perspective crop for a pointer move, or null if it didn't change.
+  dragPolygon(clientPos) {
+    const { evData } = this;
+    const crop = this.makeNewCrop();
+
+    if (evData.polygon === 'rect') {
+      const start = evData.startPoint;
+      const end = this.getImagePoint(clientPos, crop.unit);
+      const left = Math.min(start.x, end.x);
+      const right = Math.max(start.x, end.x);
+      const top = Math.min(start.y, end.y);
+      const bottom = Math.max(start.y, end.y);
+
+      return this.makeShapeCrop([
+        { x: left, y: top },
+        { x: right, y: top },
+        { x: right, y: bottom },
+        { x: left, y: bottom },
+      ], crop.unit);
+    }
+
+    if (evData.polygon === 'draw') {
+      if (getDistance(clientPos, evData.lastClientPos) < ReactCrop.lassoSpacing) {
+        return null;
+      }
+
+      evData.lastClientPos = clientPos;
+      evData.isLasso = true;
+      return makePolygonCrop([...crop.points, this.getImagePoint(clientPos, crop.unit)], crop.unit);
+    }
+
+    if (evData.polygon === 'vertex') {
+      const points = [...evData.startPoints];
+      points[evData.index] = this.getImagePoint(clientPos, crop.unit);
+      return this.makeShapeCrop(points, crop.unit);
+    }
+
+    const { width, height } = this.getMediaSize();
+    const isPixels = crop.unit === 'px';
+    const zoom = this.getZoom();
+    const imageClientPos = this.toImageClientPos(clientPos);
+    const diff = {
+      x: ((imageClientPos.x - evData.clientStartX) / zoom) * (isPixels ? 1 : 100 / width),
+      y: ((imageClientPos.y - evData.clientStartY) / zoom) * (isPixels ? 1 : 100 / height),
+    };
+
+    return this.makeShapeCrop(movePolygon(evData.startPoints, diff, isPixels ? width : 100, isPixels ? height : 100), crop.unit);
+  }
+
+  endPolygonDrag() {
+    const { evData } = this;
+    const crop = this.getActiveCrop();
+
+    if (evData.polygon !== 'draw') {
+      this.completeCrop(crop);
+      this.setState({ cropIsActive: false, newCropIsBeingDrawn: false });
+    } else if (evData.isLasso && crop.points.length > 2) {
+      this.closePolygon();
+    }
+  }
+
+  closePolygon() {
+    this.completeCrop(this.getActiveCrop());
+    this.setState({ cropIsActive: false, newCropIsBeingDrawn: false, polygonDrawing: false });
+  }
+
+  removePolygonVertex(index) {
+    const { locked, onChange } = this.props;
+    const crop = this.makeNewCrop();
+    const points = getShapePoints(crop);
+
+    // A polygon needs at least three vertices, and a perspective crop has four.
+    if (locked || !this.isPolygonMode() || this.state.polygonDrawing || points.length < 4) {
+      return;
+    }
+
+    const nextCrop = makePolygonCrop(points.filter((point, i) => i !== index), crop.unit);
+
+    this.notifyCrop(onChange, nextCrop);
+    this.completeCrop(nextCrop);
+  }
+
+  // Enter closes the polygon being drawn. On a focused vertex (or perspective corner) the arrow keys
+  // move it and Delete/Backspace removes it, otherwise the arrow keys move the whole shape.
+  polygonKeyDown(e, xStep, yStep) {
+    const { locked, onChange } = this.props;
+    const crop = this.makeNewCrop();
+    const keyCode = e.which;
+    const { vertex } = e.target.dataset;
+
+    if (keyCode === ReactCrop.enterKey && this.state.polygonDrawing && crop.points.length > 2) {
+      e.preventDefault();
+      this.closePolygon();
+      return;
+    }
+
+    if (vertex !== undefined && ReactCrop.deleteKeys.indexOf(keyCode) > -1) {
+      e.preventDefault(); // Stop the browser navigating back on backspace.
+      this.removePolygonVertex(Number(vertex));
+      return;
+    }
+
+    if (!xStep && !yStep) {
+      return;
+    }
+
+    e.preventDefault(); // Stop the page scrolling.
+
+    const { width, height } = this.getMediaSize();
+    const maxX = crop.unit === 'px' ? width : 100;
+    const maxY = crop.unit === 'px' ? height : 100;
+    let points;
+
+    if (vertex === undefined) {
+      points = movePolygon(getShapePoints(crop), { x: xStep, y: yStep }, maxX, maxY);
+    } else if (!locked) {
+      points = [...getShapePoints(crop)];
+      const point = points[vertex];
+      points[vertex] = { x: clamp(point.x + xStep, 0, maxX), y: clamp(point.y + yStep, 0, maxY) };
+    } else {
+      return;
+    }
+
+    const nextCrop = this.makeShapeCrop(points, crop.unit);
+    this.notifyCrop(onChange, nextCrop);
+    this.completeCrop(nextCrop);
+  }
+
+  createPolygon(crop) {
+    const { disabled, locked } = this.props;
+    const { polygonDrawing } = this.state;
+    const ariaLabels = this.getAriaLabels();
+    const { width, height } = this.getMediaSize();
+    // Drawn in percent, so the svg can be stretched over the (zoomed) image.
+    const scaleX = crop.unit === 'px' ? 100 / width : 1;
+    const scaleY = crop.unit === 'px' ? 100 / height : 1;
+    const points = getShapePoints(crop).map(point => ({ x: point.x * scaleX, y: point.y * scaleY }));
+    const pointList = points.map(point => `${point.x},${point.y}`).join(' ');
+    const isPerspective = this.isPerspectiveMode();
+    // Perspective crops always have four corners, so they can't be split.
+    const isEditable = !disabled && !locked && !polygonDrawing && !isPerspective;
+    const fullImage = {
+      unit: '%',
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 100,
+    };
 
     return (
       <div
-        ref={(n) => { this.cropSelectRef = n; }}
+        className="ReactCrop__polygon"
+        style={this.getCropStyle(fullImage)}
+        onPointerDown={this.onPolygonPointerDown}
+        role="presentation"
+      >
+        <svg className="ReactCrop__polygon-svg" viewBox="0 0 100 100" preserveAspectRatio="none">
+          {!polygonDrawing && (
+            <path className="ReactCrop__polygon-shade" fillRule="evenodd" d={`M0,0H100V100H0Z M${pointList}Z`} />
+          )}
+          {polygonDrawing ?
+            <polyline className="ReactCrop__polygon-outline" points={pointList} /> :
+            <polygon className="ReactCrop__polygon-outline" points={pointList} />}
+          {isEditable && points.map((point, i) => {
+            const next = points[(i + 1) % points.length];
+
+            return (
+              <line
+                key={i} // eslint-disable-line react/no-array-index-key
+                className="ReactCrop__polygon-edge"
+                data-edge={i}
+                x1={point.x}
+                y1={point.y}
+                x2={next.x}
+                y2={next.y}
+              />
+            );
+          })}
+        </svg>
+        {!disabled && points.map((point, i) => (
+          <div
+            key={i} // eslint-disable-line react/no-array-index-key
+            className={isPerspective ? `ReactCrop__polygon-vertex ord-${xyOrds[i]}` : 'ReactCrop__polygon-vertex'}
+            style={{ left: `${point.x}%`, top: `${point.y}%` }}
+            data-vertex={i}
+            data-ord={isPerspective ? xyOrds[i] : undefined}
+            role="button"
+            tabIndex={0}
+            aria-label={isPerspective ?
+              ariaLabels[`${xyOrds[i]}DragHandle`] :
+              ariaLabels.polygonVertex.replace('{index}', i + 1)}
+            onDoubleClick={isPerspective ? undefined : () => this.removePolygonVertex(i)}
+          />
+        ))}
+      </div>
+    );
+  }
+
+  createCropSelection(crop, index) {
+    const {
+      disabled,
+      locked,
+      renderSelectionAddon,
+      rotatable,
+    } = this.props;
+    const { activeCropIndex } = this.state;
+    const ariaLabels = this.getAriaLabels();
+    const style = this.getCropStyle(this.makeNewCrop(crop));
+    const onCropPointerDown = e => this.onCropPointerDown(e, index);
+    // Focusing a handle selects its crop, so the keyboard resizes the right one.
+    const onFocus = this.isMultiCrop() ? () => this.setState({ activeCropIndex: index }) : undefined;
+
+    const selectionClasses = clsx('ReactCrop__crop-selection', {
+      'ReactCrop__crop-selection--active': this.isMultiCrop() && index === activeCropIndex,
+      'ReactCrop__crop-selection--fixed-aspect': crop.aspect,
+      'ReactCrop__crop-selection--locked': crop.locked,
+    });
+
+    return (
+      <div
+        key={index}
         style={style}
-        className="ReactCrop__crop-selection"
-        onMouseDown={this.onCropMouseTouchDown}
-        onTouchStart={this.onCropMouseTouchDown}
+        className={selectionClasses}
+        onPointerDown={onCropPointerDown}
+        onFocus={onFocus}
         role="presentation"
       >
-        {!disabled && !locked && (
+        {!disabled && !locked && !crop.locked && (
           <div className="ReactCrop__drag-elements">
             <div className="ReactCrop__drag-bar ord-n" data-ord="n" />
             <div className="ReactCrop__drag-bar ord-e" data-ord="e" />
             <div className="ReactCrop__drag-bar ord-s" data-ord="s" />
             <div className="ReactCrop__drag-bar ord-w" data-ord="w" />
 
-            <div className="ReactCrop__drag-handle ord-nw" data-ord="nw" />
-            <div className="ReactCrop__drag-handle ord-n" data-ord="n" />
-            <div className="ReactCrop__drag-handle ord-ne" data-ord="ne" />
-            <div className="ReactCrop__drag-handle ord-e" data-ord="e" />
-            <div className="ReactCrop__drag-handle ord-se" data-ord="se" />
-            <div className="ReactCrop__drag-handle ord-s" data-ord="s" />
-            <div className="ReactCrop__drag-handle ord-sw" data-ord="sw" />
-            <div className="ReactCrop__drag-handle ord-w" data-ord="w" />
+            {ReactCrop.handleOrds.map(ord => (
+              <div
+                key={ord}
+                className={`ReactCrop__drag-handle ord-${ord}`}
+                data-ord={ord}
+                role="button"
+                tabIndex={0}
+                aria-label={ariaLabels[`${ord}DragHandle`]}
+              />
+            ))}
+
+            {rotatable && (
+              <div
+                className="ReactCrop__rotate-handle"
+                data-ord="rotate"
+                role="button"
+                tabIndex={0}
+                aria-label={ariaLabels.rotateHandle}
+              />
+            )}
           </div>
         )}
+        {this.createGuides()}
         {renderSelectionAddon && renderSelectionAddon(this.state)}
       </div>
     );
   }
 
-  makeNewCrop() {
+  createGuides() {
+    const { guidesWhileActive } = this.props;
+    const guides = this.getGuides();
+
+    if (!guides.length || (guidesWhileActive && !this.state.cropIsActive)) {
+      return null;
+    }
+
+    return (
+      <svg className="ReactCrop__guides" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+        {guides.map(guide => guideLines[guide].map(([x1, y1, x2, y2]) => (
+          <line
+            key={`${guide}-${x1}-${y1}-${x2}-${y2}`}
+            className={`ReactCrop__guide ReactCrop__guide--${guide}`}
+            x1={x1}
+            y1={y1}
+            x2={x2}
+            y2={y2}
+          />
+        )))}
+      </svg>
+    );
+  }
+
+  isMultiCrop() {
+    return Array.isArray(this.props.crops);
+  }
+
+  // Calls onChange or onComplete with the pixel and percent crop. With many crops the callback
+  // instead gets every crop, with `crop` replacing (or if null, removing) the one at `index`,
+  // and the index of the crop that changed. Pass `isComplete` for onComplete, the callbacks may
+  // be the same function.
+  notifyCrop(callback, crop, { index = this.state.activeCropIndex, isComplete = false } = {}) {
+    // Announcing every onChange would flood screen readers while dragging.
+    if (isComplete) {
+      this.setState({ announcement: isCropValid(crop) ? this.describeCrop(crop) : '' });
+    }
+
+    if (!this.isMultiCrop()) {
+      if (!isComplete) {
+        this.keepCrop(crop);
+      }
+
+      callback(...this.convertCrops(crop));
+      return;
+    }
+
+    this.notifyCrops(callback, replaceCrop(this.props.crops, crop, index), index);
+  }
+
+  notifyCrops(callback, crops, index) {
+    const converted = crops.map((crop, i) => this.convertCrops(this.makeNewCrop(crop), i));
+
+    callback(
+      converted.map(([pixelCrop]) => pixelCrop),
+      converted.map(([, percentCrop]) => percentCrop),
+      index,
+    );
+  }
+
+  // Without a `crop` prop the component keeps the crop itself, in the unit it was given in.
+  keepCrop(crop) {
+    if (this.props.crop !== undefined) {
+      return;
+    }
+
+    const {
+      width,
+      height,
+      naturalWidth,
+      naturalHeight,
+    } = this.getMediaSize();
+
+    this.setState({
+      crop: this.usesNaturalUnit() ?
+        { ...crop, ...convertToNaturalCrop(crop, width, height, naturalWidth, naturalHeight) } :
+        crop,
+    });
+  }
+
+  usesNaturalUnit(index) {
+    const { crops } = this.props;
+    const crop = this.getCrop();
+
+    if (this.isMultiCrop()) {
+      // New crops follow the unit of the last one.
+      const unitCrop = crops[index] || crops[crops.length - 1];
+      return Boolean(unitCrop && unitCrop.unit === 'natural');
+    }
+
+    return Boolean(crop && crop.unit === 'natural');
+  }
+
+  // Natural crops are converted to pixels, so everything else only deals with pixels and percent.
+  normalizeCrop(crop) {
+    if (!crop || crop.unit !== 'natural' || !this.imageRef) {
+      return crop;
+    }
+
+    const {
+      width,
+      height,
+      naturalWidth,
+      naturalHeight,
+    } = this.getMediaSize();
+
     return {
-      ...ReactCrop.defaultCrop,
-      ...this.props.crop,
+      ...crop,
+      ...convertToPixelCrop(this.makeNewCrop(crop), width, height, naturalWidth, naturalHeight),
     };
   }
 
-  crossOverCheck() {
-    const { evData } = this;
-    let xDiffNorm;
-    let yDiffNorm;
+  describeCrop(crop) {
+    const ariaLabels = this.getAriaLabels();
+    const isPixels = crop.unit === 'px';
+    const round = n => (isPixels ? Math.round(n) : Math.round(n * 10) / 10);
+    const values = {
+      x: round(crop.x),
+      y: round(crop.y),
+      width: round(crop.width),
+      height: round(crop.height),
+      unit: isPixels ? ariaLabels.pixels : ariaLabels.percent,
+    };
 
-    if (this.props.crop.unit === 'px') {
-      xDiffNorm = evData.xDiff;
-      yDiffNorm = evData.yDiff;
-    } else {
-      xDiffNorm = evData.xDiffPc;
-      yDiffNorm = evData.yDiffPc;
+    return ariaLabels.cropDimensions.replace(/\{(\w+)\}/g, (match, key) => values[key]);
+  }
+
+  isSnapEnabled() {
+    const { snapToEdges, snapToCenter, snapGrid } = this.props;
+    return Boolean(snapToEdges || snapToCenter || snapGrid > 0);
+  }
+
+  createSnapGuides() {
+    const { snapGuides } = this.state;
+    const { width, height } = this.getMediaSize();
+
+    return snapGuides.map(({ axis, position }) => {
+      // Position the guide like a zero sized crop, so it follows the zoom.
+      const isX = axis === 'x';
+      const guideCrop = {
+        unit: '%',
+        x: isX ? (position / width) * 100 : 0,
+        y: isX ? 0 : (position / height) * 100,
+        width: isX ? 0 : 100,
+        height: isX ? 100 : 0,
+      };
+
+      return (
+        <div
+          key={`${axis}-${position}`}
+          className={`ReactCrop__snap-guide ReactCrop__snap-guide--${axis}`}
+          style={this.getCropStyle(guideCrop)}
+        />
+      );
+    });
+  }
+
+  // Hidden inputs with the crop for `name`, and an input that takes part in the form's
+  // validation (hidden ones don't), placed under the crop area for the browser's message.
+  createFormInputs() {
+    const {
+      name,
+      form,
+      inputFormat,
+      required,
+    } = this.props;
+    const formCrops = this.getFormCrops();
+    const inputs = [];
+
+    if (name && inputFormat === 'json') {
+      const value = this.isMultiCrop() ? formCrops : formCrops[0];
+      inputs.push(<input key="json" type="hidden" name={name} form={form} value={value ? JSON.stringify(value) : ''} />);
+    } else if (name) {
+      // A single crop always has its fields, empty without a crop.
+      const fieldCrops = this.isMultiCrop() ? formCrops : [formCrops[0] || { natural: {}, percent: {} }];
+
+      fieldCrops.forEach((formCrop, i) => {
+        const prefix = this.isMultiCrop() ? `${name}[${i}]` : name;
+
+        ['natural', 'percent'].forEach((unit) => {
+          ['x', 'y', 'width', 'height'].forEach((key) => {
+            const fieldName = `${prefix}[${unit}][${key}]`;
+            const value = formCrop[unit][key];
+
+            inputs.push(<input key={fieldName} type="hidden" name={fieldName} form={form} value={value === undefined ? '' : value} />);
+          });
+        });
+      });
     }
 
-    if ((!evData.xCrossOver && -Math.abs(evData.cropStartWidth) - xDiffNorm >= 0) ||
-      (evData.xCrossOver && -Math.abs(evData.cropStartWidth) - xDiffNorm <= 0)) {
-      evData.xCrossOver = !evData.xCrossOver;
+    if (name || required) {
+      inputs.push((
+        <input
+          key="validity"
+          ref={(n) => { this.validityInputRef = n; }}
+          className="ReactCrop__validity"
+          form={form}
+          value=""
+          tabIndex={-1}
+          aria-hidden="true"
+          onChange={() => {}}
+          onInvalid={this.onValidityInvalid}
+        />
+      ));
     }
 
-    if ((!evData.yCrossOver && -Math.abs(evData.cropStartHeight) - yDiffNorm >= 0) ||
-      (evData.yCrossOver && -Math.abs(evData.cropStartHeight) - yDiffNorm <= 0)) {
-      evData.yCrossOver = !evData.yCrossOver;
+    return inputs;
+  }
+
+  updateValidity() {
+    if (this.validityInputRef) {
+      this.validityInputRef.setCustomValidity(this.getValidationMessage());
     }
+  }
 
-    const swapXOrd = evData.xCrossOver !== evData.startXCrossOver;
-    const swapYOrd = evData.yCrossOver !== evData.startYCrossOver;
+  isViewTransformed() {
+    return this.getZoom() !== 1 || this.isImageTransformed();
+  }
 
-    evData.inversedXOrd = swapXOrd ? inverseOrd(evData.ord) : false;
-    evData.inversedYOrd = swapYOrd ? inverseOrd(evData.ord) : false;
+  isImageTransformed() {
+    const { rotate, flipX, flipY } = this.props;
+    return Boolean((rotate % 360) || flipX || flipY);
+  }
+
+  // Returns [pixelCrop, percentCrop] as passed to onChange and onComplete. If the crop was passed in
+  // natural units the first crop is in natural units too. When the image is rotated or flipped the
+  // current transform is included, so the cropped area can be turned the same way as on screen,
+  // and otherwise a transform the crop came with is removed.
+  convertCrops(crop, index) {
+    const {
+      width: imageWidth,
+      height: imageHeight,
+      naturalWidth,
+      naturalHeight,
+    } = this.getMediaSize();
+    const pixelCrop = this.usesNaturalUnit(index) ?
+      convertToNaturalCrop(crop, imageWidth, imageHeight, naturalWidth, naturalHeight) :
+      convertToPixelCrop(crop, imageWidth, imageHeight, naturalWidth, naturalHeight);
+    const percentCrop = convertToPercentCrop(crop, imageWidth, imageHeight, naturalWidth, naturalHeight);
+
+    if (!this.isImageTransformed()) {
+      return [removeTransform(pixelCrop), removeTransform(percentCrop)];
+    }
+
+    const transform = this.getCropTransform();
+    return [{ ...pixelCrop, ...transform }, { ...percentCrop, ...transform }];
+  }
+
+  makeNewCrop(crop = this.getActiveCrop()) {
+    return {
+      ...ReactCrop.defaultCrop,
+      ...crop,
+    };
+  }
+
+  // The media is an <img> for `src`, whatever `renderMedia` returns, or else the child element.
+  createMedia() {
+    const {
+      children,
+      crossorigin,
+      imageAlt,
+      onImageError,
+      renderMedia,
+      src,
+    } = this.props;
+    const mediaProps = {
+      className: 'ReactCrop__image',
+      style: this.getImageStyle(),
+      onLoad: e => this.onMediaLoad(e.currentTarget),
+      onLoadedMetadata: e => this.onMediaLoad(e.currentTarget),
+      onError: onImageError,
+      draggable: false,
+    };
+    const setMediaRef = (n) => { this.imageRef = n; };
+
+    if (src) {
+      return (
+        <img
+          ref={setMediaRef}
+          crossOrigin={crossorigin}
+          className={mediaProps.className}
+          style={mediaProps.style}
+          src={src}
+          draggable={mediaProps.draggable}
+          onLoad={mediaProps.onLoad}
+          onError={mediaProps.onError}
+          alt={imageAlt}
+        />
+      );
+    }
+
+    if (renderMedia) {
+      return renderMedia({ ...mediaProps, ref: setMediaRef });
+    }
+
+    const child = React.Children.only(children);
+    const { props: childProps, ref: childRef } = child;
+
+    return React.cloneElement(child, {
+      ...mediaProps,
+      className: clsx(mediaProps.className, childProps.className),
+      style: { ...childProps.style, ...mediaProps.style },
+      onLoad: chainHandlers(mediaProps.onLoad, childProps.onLoad),
+      onLoadedMetadata: chainHandlers(mediaProps.onLoadedMetadata, childProps.onLoadedMetadata),
+      onError: chainHandlers(mediaProps.onError, childProps.onError),
+      ref: (n) => {
+        setMediaRef(n);
+
+        if (typeof childRef === 'function') {
+          childRef(n);
+        } else if (childRef) {
+          childRef.current = n;
+        }
+      },
+    });
   }
 
   render() {
     const {
       children,
+      circularCrop,
       className,
-      crossorigin,
-      crop,
+      crops,
       disabled,
       locked,
-      imageAlt,
-      onImageError,
+      renderMedia,
       src,
       style,
-      imageStyle,
     } = this.props;
-    const { cropIsActive, newCropIsBeingDrawn } = this.state;
-    const cropSelection = (isCropValid(crop) && this.imageRef) ? this.createCropSelection() : null;
+    const {
+      cropIsActive,
+      newCropIsBeingDrawn,
+      snapGuides,
+      polygonDrawing,
+    } = this.state;
+    const isMultiCrop = this.isMultiCrop();
+    const crop = this.getActiveCrop();
+    let cropSelection = null;
+
+    if (this.imageRef && this.isShapeMode()) {
+      cropSelection = crop && (crop.points || crop.corners || isCropValid(crop)) ? this.createPolygon(crop) : null;
+    } else if (this.imageRef && isMultiCrop) {
+      cropSelection = crops.map((c, i) => (isCropValid(c) ? this.createCropSelection(this.normalizeCrop(c), i) : null));
+    } else if (this.imageRef && isCropValid(crop)) {
+      cropSelection = this.createCropSelection(crop);
+    }
+
+    const cropElements = (
+      <React.Fragment>
+        {cropSelection}
+        {snapGuides && this.imageRef && this.createSnapGuides()}
+      </React.Fragment>
+    );
 
     const componentClasses = clsx('ReactCrop', className, {
       'ReactCrop--active': cropIsActive,
       'ReactCrop--disabled': disabled,
       'ReactCrop--locked': locked,
       'ReactCrop--new-crop': newCropIsBeingDrawn,
-      'ReactCrop--fixed-aspect': crop && crop.aspect,
+      'ReactCrop--fixed-aspect': !isMultiCrop && crop && crop.aspect,
+      'ReactCrop--multi-crop': isMultiCrop,
+      'ReactCrop--circular-crop': circularCrop,
+      'ReactCrop--polygon': this.isShapeMode(),
+      'ReactCrop--perspective': this.isPerspectiveMode(),
       // In this case we have to shadow the image, since the box-shadow on the crop won't work.
-      'ReactCrop--crop-invisible': crop && cropIsActive && (!crop.width || !crop.height),
+      'ReactCrop--crop-invisible': (crop && cropIsActive && (!crop.width || !crop.height)) || polygonDrawing,
     });
 
     return (
@@ -829,32 +2011,33 @@ class ReactCrop extends PureComponent {
         ref={(n) => { this.componentRef = n; }}
         className={componentClasses}
         style={style}
-        onTouchStart={this.onComponentMouseTouchDown}
-        onMouseDown={this.onComponentMouseTouchDown}
+        onPointerDown={this.onComponentPointerDown}
+        onPointerMove={this.onComponentPointerMove}
+        onPointerUp={this.onComponentPointerUp}
+        onPointerCancel={this.onComponentPointerCancel}
+        onLostPointerCapture={this.onComponentPointerCancel}
         role="presentation"
         tabIndex={1}
         onKeyDown={this.onComponentKeyDown}
       >
-        <img
-          ref={(n) => { this.imageRef = n; }}
-          crossOrigin={crossorigin}
-          className="ReactCrop__image"
-          style={imageStyle}
-          src={src}
-          onLoad={e => this.onImageLoad(e.target)}
-          onError={onImageError}
-          alt={imageAlt}
-        />
-        {children}
-        {cropSelection}
+        {this.createMedia()}
+        {(src || renderMedia) && children}
+        {this.isImageTransformed() ? (
+          <div className="ReactCrop__crop-layer" style={this.getCropLayerStyle()}>{cropElements}</div>
+        ) : cropElements}
+        <div className="ReactCrop__sr-only" aria-live="polite">
+          {this.state.announcement}
+        </div>
+        {this.createFormInputs()}
       </div>
     );
   }
 }
 
-ReactCrop.xOrds = ['e', 'w'];
-ReactCrop.yOrds = ['n', 's'];
-ReactCrop.xyOrds = ['nw', 'ne', 'se', 'sw'];
+ReactCrop.xOrds = xOrds;
+ReactCrop.yOrds = yOrds;
+ReactCrop.xyOrds = xyOrds;
+ReactCrop.handleOrds = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
 
 ReactCrop.arrowKey = {
   left: 37,
@@ -863,7 +2046,24 @@ ReactCrop.arrowKey = {
   down: 40,
 };
 
+ReactCrop.deleteKeys = [8, 46];
+
+ReactCrop.enterKey = 13;
+
+ReactCrop.undoKey = 90; // Z
+ReactCrop.redoKey = 89; // Y
+
 ReactCrop.nudgeStep = 0.2;
+ReactCrop.nudgeStepMedium = 2;
+ReactCrop.nudgeStepLarge = 10;
+
+ReactCrop.angleStepLarge = 15; // Degrees, when turning with shift held.
+
+ReactCrop.lassoSpacing = 8; // Screen pixels between the points of a freehand polygon.
+
+ReactCrop.zoomStep = 0.1;
+
+ReactCrop.wheelLineHeight = 16;
 
 ReactCrop.defaultCrop = {
   x: 0,
@@ -873,23 +2073,65 @@ ReactCrop.defaultCrop = {
   unit: 'px',
 };
 
+const cropShape = PropTypes.shape({
+  aspect: PropTypes.number,
+  minAspect: PropTypes.number,
+  maxAspect: PropTypes.number,
+  aspectPresets: PropTypes.arrayOf(PropTypes.number),
+  angle: PropTypes.number,
+  points: PropTypes.arrayOf(PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+  })),
+  corners: PropTypes.objectOf(PropTypes.shape({
+    x: PropTypes.number,
+    y: PropTypes.number,
+  })),
+  x: PropTypes.number,
+  y: PropTypes.number,
+  width: PropTypes.number,
+  height: PropTypes.number,
+  unit: PropTypes.oneOf(['px', '%', 'natural']),
+});
+
 ReactCrop.propTypes = {
+  ariaLabels: PropTypes.shape({
+    nwDragHandle: PropTypes.string,
+    nDragHandle: PropTypes.string,
+    neDragHandle: PropTypes.string,
+    eDragHandle: PropTypes.string,
+    seDragHandle: PropTypes.string,
+    sDragHandle: PropTypes.string,
+    swDragHandle: PropTypes.string,
+    wDragHandle: PropTypes.string,
+    cropDimensions: PropTypes.string,
+    pixels: PropTypes.string,
+    percent: PropTypes.string,
+    rotateHandle: PropTypes.string,
+    polygonVertex: PropTypes.string,
+  }),
+  circularCrop: PropTypes.bool,
   className: PropTypes.string,
   crossorigin: PropTypes.string,
   children: PropTypes.oneOfType([
     PropTypes.arrayOf(PropTypes.node),
     PropTypes.node,
   ]),
-  crop: PropTypes.shape({
-    aspect: PropTypes.number,
-    x: PropTypes.number,
-    y: PropTypes.number,
-    width: PropTypes.number,
-    height: PropTypes.number,
-    unit: PropTypes.oneOf(['px', '%']),
-  }),
+  crop: cropShape,
+  crops: PropTypes.arrayOf(cropShape),
+  defaultCrop: cropShape,
+  initialCrop: PropTypes.oneOfType([
+    PropTypes.oneOf(initialCropStrategies),
+    PropTypes.shape({
+      strategy: PropTypes.oneOf(initialCropStrategies).isRequired,
+      size: PropTypes.number,
+    }),
+  ]),
   disabled: PropTypes.bool,
   locked: PropTypes.bool,
+  mode: PropTypes.oneOf(['rect', 'polygon', 'perspective']),
+  rotatable: PropTypes.bool,
+  resizeFromCenter: PropTypes.bool,
   imageAlt: PropTypes.string,
   imageStyle: PropTypes.shape({}),
   keepSelection: PropTypes.bool,
@@ -897,30 +2139,85 @@ ReactCrop.propTypes = {
   minHeight: PropTypes.number,
   maxWidth: PropTypes.number,
   maxHeight: PropTypes.number,
-  onChange: PropTypes.func.isRequired,
+  limitsUnit: PropTypes.oneOf(['px', 'natural']),
+  onChange: PropTypes.func,
   onImageError: PropTypes.func,
   onComplete: PropTypes.func,
+  onHistoryChange: PropTypes.func,
   onImageLoaded: PropTypes.func,
   onDragStart: PropTypes.func,
   onDragEnd: PropTypes.func,
-  src: PropTypes.string.isRequired,
+  src: PropTypes.string,
+  renderMedia: PropTypes.func,
   style: PropTypes.shape({}),
   renderSelectionAddon: PropTypes.func,
+  rotate: PropTypes.number,
+  flipX: PropTypes.bool,
+  flipY: PropTypes.bool,
+  zoom: PropTypes.number,
+  minZoom: PropTypes.number,
+  maxZoom: PropTypes.number,
+  onZoomChange: PropTypes.func,
+  snapToEdges: PropTypes.bool,
+  snapToCenter: PropTypes.bool,
+  snapGrid: PropTypes.number,
+  snapThreshold: PropTypes.number,
+  ruleOfThirds: PropTypes.bool,
+  guides: PropTypes.arrayOf(PropTypes.oneOf(Object.keys(guideLines))),
+  guidesWhileActive: PropTypes.bool,
+  enableHistory: PropTypes.bool,
+  historyLimit: PropTypes.number,
+  name: PropTypes.string,
+  form: PropTypes.string,
+  inputFormat: PropTypes.oneOf(['fields', 'json']),
+  required: PropTypes.bool,
+  onInvalid: PropTypes.func,
+  validationMessages: PropTypes.shape({
+    required: PropTypes.string,
+    tooSmall: PropTypes.string,
+    tooNarrow: PropTypes.string,
+    tooShort: PropTypes.string,
+  }),
 };
 
 ReactCrop.defaultProps = {
+  ariaLabels: {
+    nwDragHandle: 'Resize from the top left corner with the arrow keys',
+    nDragHandle: 'Resize from the top edge with the arrow keys',
+    neDragHandle: 'Resize from the top right corner with the arrow keys',
+    eDragHandle: 'Resize from the right edge with the arrow keys',
+    seDragHandle: 'Resize from the bottom right corner with the arrow keys',
+    sDragHandle: 'Resize from the bottom edge with the arrow keys',
+    swDragHandle: 'Resize from the bottom left corner with the arrow keys',
+    wDragHandle: 'Resize from the left edge with the arrow keys',
+    cropDimensions: 'Crop {width} by {height} {unit}, at {x}, {y}',
+    pixels: 'pixels',
+    percent: 'percent',
+    rotateHandle: 'Rotate the crop with the arrow keys',
+    polygonVertex: 'Vertex {index}, move with the arrow keys or remove with Delete',
+  },
+  circularCrop: false,
   className: undefined,
   crop: undefined,
+  crops: undefined,
+  defaultCrop: undefined,
+  initialCrop: undefined,
   crossorigin: undefined,
   disabled: false,
   locked: false,
+  mode: 'rect',
+  rotatable: false,
+  resizeFromCenter: false,
   imageAlt: '',
   maxWidth: undefined,
   maxHeight: undefined,
   minWidth: 0,
   minHeight: 0,
+  limitsUnit: 'px',
   keepSelection: false,
+  onChange: () => {},
   onComplete: () => {},
+  onHistoryChange: () => {},
   onImageError: () => {},
   onImageLoaded: () => {},
   onDragStart: () => {},
@@ -929,6 +2226,35 @@ ReactCrop.defaultProps = {
   style: undefined,
   imageStyle: undefined,
   renderSelectionAddon: undefined,
+  renderMedia: undefined,
+  src: undefined,
+  rotate: 0,
+  flipX: false,
+  flipY: false,
+  zoom: 1,
+  minZoom: 1,
+  maxZoom: 5,
+  onZoomChange: undefined,
+  snapToEdges: false,
+  snapToCenter: false,
+  snapGrid: 0,
+  snapThreshold: 8,
+  ruleOfThirds: false,
+  guides: [],
+  guidesWhileActive: false,
+  enableHistory: false,
+  historyLimit: 100,
+  name: undefined,
+  form: undefined,
+  inputFormat: 'fields',
+  required: false,
+  onInvalid: () => {},
+  validationMessages: {
+    required: 'Select an area of the image.',
+    tooSmall: 'Select an area of at least {minWidth} by {minHeight} pixels.',
+    tooNarrow: 'Select an area at least {minWidth} pixels wide.',
+    tooShort: 'Select an area at least {minHeight} pixels tall.',
+  },
 };
 
 export {
@@ -936,4 +2262,25 @@ export {
   ReactCrop as Component,
   makeAspectCrop,
   containCrop,
+  validateCrop,
+  convertToPixelCrop,
+  convertToPercentCrop,
+  convertToNaturalCrop,
+  getCroppedImage,
+  getCropOutputSize,
+  drawCroppedImage,
+  makeInitialCrop,
+  toCropString,
+  parseCropString,
+  CropPreview,
+  useCrop,
+  createDragData,
+  createNewCrop,
+  createNewCropDragData,
+  moveCrop,
+  snapCrop,
+  scaleCrop,
+  keyboardResizeCrop,
+  getHomography,
+  applyHomography,
 };
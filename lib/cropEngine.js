@@ -0,0 +1,835 @@
+import {
+  clamp,
+  inverseOrd,
+  containCrop,
+  isCropContained,
+  getPolygonBounds,
+  hasAspectLimits,
+  constrainAspect,
+  getUnitAspect,
+  convertToPercentCrop,
+  convertToPixelCrop,
+} from './cropUtils';
+
+const xOrds = ['e', 'w'];
+const yOrds = ['n', 's'];
+const xyOrds = ['nw', 'ne', 'se', 'sw'];
+
+// Starts moving a crop, or resizing it from `ord` (a drag handle ordinate). `cropOffset` is the
+// page position of the crop, which is only needed to straighten fixed aspect resizes.
+function createDragData(crop, clientPos, ord, cropOffset) {
+  const xInversed = ord === 'nw' || ord === 'w' || ord === 'sw';
+  const yInversed = ord === 'nw' || ord === 'n' || ord === 'ne';
+
+  return {
+    clientStartX: clientPos.x,
+    clientStartY: clientPos.y,
+    cropStartWidth: crop.width,
+    cropStartHeight: crop.height,
+    cropStartX: xInversed ? (crop.x + crop.width) : crop.x,
+    cropStartY: yInversed ? (crop.y + crop.height) : crop.y,
+    xInversed,
+    yInversed,
+    xCrossOver: xInversed,
+    yCrossOver: yInversed,
+    startXCrossOver: xInversed,
+    startYCrossOver: yInversed,
+    isResize: ord,
+    ord,
+    cropOffset: crop.aspect ? cropOffset : undefined,
+    startCrop: crop,
+  };
+}
+
+function getPointerAngle(clientPos, center) {
+  return (Math.atan2(clientPos.y - center.y, clientPos.x - center.x) * 180) / Math.PI;
+}
+
+// Starts turning a crop around its centre (the page position of the crop's centre).
+function createRotateData(crop, clientPos, center) {
+  return {
+    isRotate: true,
+    center,
+    startPointerAngle: getPointerAngle(clientPos, center),
+    startCrop: crop,
+  };
+}
+
+// Rotates a point around the origin by `angle` degrees, clockwise like a CSS rotate().
+function rotatePoint(point, angle) {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  return {
+    x: (point.x * cos) - (point.y * sin),
+    y: (point.x * sin) + (point.y * cos),
+  };
+}
+
+// Keeps an angle within -180 to 180 degrees.
+function normalizeAngle(angle) {
+  return (((angle % 360) + 540) % 360) - 180;
+}
+
+// A zero sized crop to start drawing from `point` (in pixels, kept inside the image). It's in `unit`
+// ('px' or '%') and has the aspect and aspect limits of `aspectCrop`.
+function createNewCrop(point, imageWidth, imageHeight, unit, aspectCrop = {}) {
+  const isPixels = unit !== '%';
+  const x = clamp(point.x, 0, imageWidth);
+  const y = clamp(point.y, 0, imageHeight);
+
+  return {
+    unit: isPixels ? 'px' : '%',
+    aspect: aspectCrop.aspect,
+    minAspect: aspectCrop.minAspect,
+    maxAspect: aspectCrop.maxAspect,
+    aspectPresets: aspectCrop.aspectPresets,
+    x: isPixels ? x : (x / imageWidth) * 100,
+    y: isPixels ? y : (y / imageHeight) * 100,
+    width: 0,
+    height: 0,
+  };
+}
+
+// Starts drawing a new (zero sized) crop, which is resized from its top left.
+function createNewCropDragData(crop, clientPos) {
+  return {
+    clientStartX: clientPos.x,
+    clientStartY: clientPos.y,
+    cropStartWidth: crop.width,
+    cropStartHeight: crop.height,
+    cropStartX: crop.x,
+    cropStartY: crop.y,
+    xInversed: false,
+    yInversed: false,
+    xCrossOver: false,
+    yCrossOver: false,
+    startXCrossOver: false,
+    startYCrossOver: false,
+    isResize: true,
+    ord: 'nw',
+    startCrop: crop,
+  };
+}
+
+function straightenYPath(evData, clientX) {
+  const { ord } = evData;
+  const { cropOffset, cropStartWidth, cropStartHeight } = evData;
+  let k;
+  let d;
+
+  if (ord === 'nw' || ord === 'se') {
+    k = cropStartHeight / cropStartWidth;
+    d = cropOffset.top - (cropOffset.left * k);
+  } else {
+    k = -cropStartHeight / cropStartWidth;
+    d = cropOffset.top + (cropStartHeight - (cropOffset.left * k));
+  }
+
+  return (k * clientX) + d;
+}
+
+function getNewSize(crop, evData, imageWidth, imageHeight, limits) {
+  const isPixels = crop.unit === 'px';
+
+  // New width.
+  let newWidth = isPixels ? evData.cropStartWidth + evData.xDiff : evData.cropStartWidth + evData.xDiffPc;
+
+  if (evData.xCrossOver) {
+    newWidth = Math.abs(newWidth);
+  }
+
+  newWidth = clamp(newWidth, limits.minWidth, limits.maxWidth || imageWidth);
+
+  // New height.
+  const unitAspect = crop.aspect && getUnitAspect(crop, imageWidth, imageHeight);
+  let newHeight;
+
+  if (unitAspect) {
+    newHeight = newWidth / unitAspect;
+  } else {
+    newHeight = isPixels ?
+      evData.cropStartHeight + evData.yDiff :
+      evData.cropStartHeight + evData.yDiffPc;
+  }
+
+  if (evData.yCrossOver) {
+    // Cap if polarity is inversed and the height fills the y space.
+    newHeight = Math.min(Math.abs(newHeight), evData.cropStartY);
+  }
+
+  newHeight = clamp(newHeight, limits.minHeight, limits.maxHeight || imageHeight);
+
+  if (hasAspectLimits(crop) && newWidth && newHeight) {
+    // Aspect limits are in pixels. Like fixed aspects follow the dimension the handle moves.
+    const pixelRatio = isPixels ? 1 : imageWidth / imageHeight;
+    const aspect = (newWidth / newHeight) * pixelRatio;
+    const allowedAspect = constrainAspect(crop, aspect);
+
+    if (allowedAspect !== aspect && yOrds.indexOf(evData.ord) > -1) {
+      newWidth = (newHeight * allowedAspect) / pixelRatio;
+    } else if (allowedAspect !== aspect) {
+      newHeight = (newWidth / allowedAspect) * pixelRatio;
+    }
+  }
+
+  if (unitAspect) {
+    newWidth = clamp(newHeight * unitAspect, 0, imageWidth);
+  }
+
+  return {
+    width: newWidth,
+    height: newHeight,
+  };
+}
+
+function crossOverCheck(crop, evData) {
+  let xDiffNorm;
+  let yDiffNorm;
+
+  if (crop.unit === 'px') {
+    xDiffNorm = evData.xDiff;
+    yDiffNorm = evData.yDiff;
+  } else {
+    xDiffNorm = evData.xDiffPc;
+    yDiffNorm = evData.yDiffPc;
+  }
+
+  if ((!evData.xCrossOver && -Math.abs(evData.cropStartWidth) - xDiffNorm >= 0) ||
+    (evData.xCrossOver && -Math.abs(evData.cropStartWidth) - xDiffNorm <= 0)) {
+    evData.xCrossOver = !evData.xCrossOver; // eslint-disable-line no-param-reassign
+  }
+
+  if ((!evData.yCrossOver && -Math.abs(evData.cropStartHeight) - yDiffNorm >= 0) ||
+    (evData.yCrossOver && -Math.abs(evData.cropStartHeight) - yDiffNorm <= 0)) {
+    evData.yCrossOver = !evData.yCrossOver; // eslint-disable-line no-param-reassign
+  }
+
+  const swapXOrd = evData.xCrossOver !== evData.startXCrossOver;
+  const swapYOrd = evData.yCrossOver !== evData.startYCrossOver;
+
+  /* eslint-disable no-param-reassign */
+  evData.inversedXOrd = swapXOrd ? inverseOrd(evData.ord) : false;
+  evData.inversedYOrd = swapYOrd ? inverseOrd(evData.ord) : false;
+  /* eslint-enable no-param-reassign */
+}
+
+function dragCrop(crop, evData, imageWidth, imageHeight) {
+  const nextCrop = { ...crop };
+
+  if (nextCrop.unit === 'px') {
+    nextCrop.x = clamp(evData.cropStartX + evData.xDiff, 0, imageWidth - nextCrop.width);
+    nextCrop.y = clamp(evData.cropStartY + evData.yDiff, 0, imageHeight - nextCrop.height);
+  } else {
+    nextCrop.x = clamp(evData.cropStartX + evData.xDiffPc, 0, 100 - nextCrop.width);
+    nextCrop.y = clamp(evData.cropStartY + evData.yDiffPc, 0, 100 - nextCrop.height);
+  }
+
+  return nextCrop;
+}
+
+// -1 if `ord` contains the `before` direction (n or w), 1 for the `after` one (s or e), else 0.
+function getOrdDirection(ord, before, after) {
+  if (ord.indexOf(before) > -1) {
+    return -1;
+  }
+
+  return ord.indexOf(after) > -1 ? 1 : 0;
+}
+
+// Resizes symmetrically around the centre of the crop at the start of the drag, so each side moves
+// as far as the handle does. A new crop grows from where it was started.
+function resizeCropFromCenter(crop, evData, imageWidth, imageHeight, limits) {
+  const { startCrop, ord } = evData;
+  const isPixels = crop.unit === 'px';
+  const boxWidth = isPixels ? imageWidth : 100;
+  const boxHeight = isPixels ? imageHeight : 100;
+  const xDir = getOrdDirection(ord, 'w', 'e');
+  const yDir = getOrdDirection(ord, 'n', 's');
+  const xDiff = isPixels ? evData.xDiff : evData.xDiffPc;
+  const yDiff = isPixels ? evData.yDiff : evData.yDiffPc;
+  const centerX = startCrop.x + (startCrop.width / 2);
+  const centerY = startCrop.y + (startCrop.height / 2);
+  // Dragging past the centre flips the crop over, which for a symmetric crop changes nothing.
+  let width = xDir ? Math.abs((xDir * startCrop.width) + (2 * xDiff)) : startCrop.width;
+  let height = yDir ? Math.abs((yDir * startCrop.height) + (2 * yDiff)) : startCrop.height;
+
+  // The biggest crop around the centre which is within the limits and the image.
+  const maxWidth = Math.min(limits.maxWidth || boxWidth, 2 * centerX, 2 * (boxWidth - centerX));
+  const maxHeight = Math.min(limits.maxHeight || boxHeight, 2 * centerY, 2 * (boxHeight - centerY));
+
+  width = clamp(width, Math.min(limits.minWidth, maxWidth), maxWidth);
+  height = clamp(height, Math.min(limits.minHeight, maxHeight), maxHeight);
+
+  // Both fixed aspects and aspect limits are in pixels.
+  const pixelRatio = isPixels ? 1 : imageWidth / imageHeight;
+  let aspect = crop.aspect && getUnitAspect(crop, imageWidth, imageHeight);
+
+  if (!aspect && hasAspectLimits(crop) && width && height) {
+    aspect = constrainAspect(crop, (width / height) * pixelRatio) / pixelRatio;
+  }
+
+  if (aspect) {
+    if (xDir) {
+      height = width / aspect;
+    } else {
+      width = height * aspect;
+    }
+
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    width *= scale;
+    height *= scale;
+  }
+
+  return {
+    ...crop,
+    x: centerX - (width / 2),
+    y: centerY - (height / 2),
+    width,
+    height,
+  };
+}
+
+/* eslint-disable no-param-reassign */
+function resizeCrop(crop, evData, imageWidth, imageHeight, limits) {
+  const nextCrop = { ...crop };
+  const { ord } = evData;
+  const isAspectLimited = hasAspectLimits(crop);
+
+  // Edge handles of crops with aspect limits move one side, the other only follows to keep within
+  // the limits.
+  if (isAspectLimited && xOrds.indexOf(ord) > -1) {
+    evData.yDiff = 0;
+    evData.yDiffPc = 0;
+  } else if (isAspectLimited && yOrds.indexOf(ord) > -1) {
+    evData.xDiff = 0;
+    evData.xDiffPc = 0;
+  }
+
+  const centeredCrop = evData.fromCenter ?
+    resizeCropFromCenter(crop, evData, imageWidth, imageHeight, limits) :
+    null;
+
+  // On the inverse change the diff so it's the same and
+  // the same algo applies.
+  if (evData.xInversed) {
+    evData.xDiff -= evData.cropStartWidth * 2;
+    evData.xDiffPc -= evData.cropStartWidth * 2;
+  }
+  if (evData.yInversed) {
+    evData.yDiff -= evData.cropStartHeight * 2;
+    evData.yDiffPc -= evData.cropStartHeight * 2;
+  }
+
+  // Check for crossing over the opposite edge before sizing, so a fast move over it flips the crop
+  // straight away. When resizing from the centre this keeps track of the side the handle is on.
+  crossOverCheck(crop, evData);
+
+  if (centeredCrop) {
+    return centeredCrop;
+  }
+
+  // New size.
+  const newSize = getNewSize(crop, evData, imageWidth, imageHeight, limits);
+
+  // The opposite edge (cropStartX/Y) stays where it is, with the crop before it once crossed over.
+  const newX = evData.xCrossOver ? evData.cropStartX - newSize.width : evData.cropStartX;
+  const newY = evData.yCrossOver ? evData.cropStartY - newSize.height : evData.cropStartY;
+
+  const containedCrop = containCrop(crop, {
+    unit: nextCrop.unit,
+    x: newX,
+    y: newY,
+    width: newSize.width,
+    height: newSize.height,
+    aspect: nextCrop.aspect,
+    minAspect: nextCrop.minAspect,
+    maxAspect: nextCrop.maxAspect,
+    aspectPresets: nextCrop.aspectPresets,
+  }, imageWidth, imageHeight);
+
+  // Apply x/y/width/height changes depending on ordinate (fixed or limited aspects always apply both).
+  if (nextCrop.aspect || isAspectLimited || xyOrds.indexOf(ord) > -1) {
+    nextCrop.x = containedCrop.x;
+    nextCrop.y = containedCrop.y;
+    nextCrop.width = containedCrop.width;
+    nextCrop.height = containedCrop.height;
+  } else if (xOrds.indexOf(ord) > -1) {
+    nextCrop.x = containedCrop.x;
+    nextCrop.width = containedCrop.width;
+  } else if (yOrds.indexOf(ord) > -1) {
+    nextCrop.y = containedCrop.y;
+    nextCrop.height = containedCrop.height;
+  }
+
+  return nextCrop;
+}
+
+/**
+ * Resizes a rotated crop from the `ord` handle, keeping the opposite edge or corner where it is on
+ * the image (or the centre). Unlike unrotated crops they can't be dragged past that edge to flip
+ * them over.
+ *
+ * @param {Object} crop - The complete crop with an `angle`.
+ * @param {String} ord - The drag handle ordinate.
+ * @param {Object} diff - How far the handle moved in pixels, along the crop's own (turned) axes.
+ * @param {Number} imageWidth - The rendered width of the image.
+ * @param {Number} imageHeight - The rendered height of the image.
+ * @param {Object} limits - minWidth/maxWidth/minHeight/maxHeight in the unit of the crop.
+ * @param {Boolean} [fromCenter] - Resize symmetrically around the centre.
+ * @returns {Object|null} The next crop, or null if a corner would end up outside the image.
+ */
+function resizeRotatedCrop(crop, ord, diff, imageWidth, imageHeight, limits, fromCenter = false) {
+  const scaleX = crop.unit === 'px' ? 1 : imageWidth / 100;
+  const scaleY = crop.unit === 'px' ? 1 : imageHeight / 100;
+  const xDir = getOrdDirection(ord, 'w', 'e');
+  const yDir = getOrdDirection(ord, 'n', 's');
+  const startWidth = crop.width * scaleX;
+  const startHeight = crop.height * scaleY;
+  const minWidth = limits.minWidth * scaleX;
+  const maxWidth = limits.maxWidth ? limits.maxWidth * scaleX : imageWidth;
+  const minHeight = limits.minHeight * scaleY;
+  const maxHeight = limits.maxHeight ? limits.maxHeight * scaleY : imageHeight;
+
+  const growth = fromCenter ? 2 : 1;
+
+  let width = clamp(startWidth + (xDir * diff.x * growth), minWidth, maxWidth);
+  let height = clamp(startHeight + (yDir * diff.y * growth), minHeight, maxHeight);
+
+  if (crop.aspect) {
+    // The aspect is in pixels of the image, so follow the dimension the handle moves.
+    if (xDir) {
+      height = clamp(width / crop.aspect, minHeight, maxHeight);
+    }
+    width = height * crop.aspect;
+  } else if (hasAspectLimits(crop)) {
+    const allowedAspect = constrainAspect(crop, width / height);
+
+    if (xDir) {
+      height = width / allowedAspect;
+    } else {
+      width = height * allowedAspect;
+    }
+  }
+
+  // The centre moves away from the fixed edge by half the change in size, along the crop's axes.
+  const centerShift = fromCenter ? { x: 0, y: 0 } : rotatePoint({
+    x: (xDir * (width - startWidth)) / 2,
+    y: (yDir * (height - startHeight)) / 2,
+  }, crop.angle);
+  const centerX = (crop.x * scaleX) + (startWidth / 2) + centerShift.x;
+  const centerY = (crop.y * scaleY) + (startHeight / 2) + centerShift.y;
+
+  const nextCrop = {
+    ...crop,
+    x: (centerX - (width / 2)) / scaleX,
+    y: (centerY - (height / 2)) / scaleY,
+    width: width / scaleX,
+    height: height / scaleY,
+  };
+
+  return isCropContained(nextCrop, imageWidth, imageHeight) ? nextCrop : null;
+}
+
+// Turns the crop to follow the pointer around its centre, to the nearest `step` degrees if set.
+function rotateCrop(evData, clientPos, imageWidth, imageHeight, step) {
+  const { startCrop } = evData;
+  let angle = (startCrop.angle || 0) + (getPointerAngle(clientPos, evData.center) - evData.startPointerAngle);
+
+  if (step) {
+    angle = Math.round(angle / step) * step;
+  }
+
+  // Turning from the crop at the start means it grows back if it had to shrink to fit.
+  return containCrop(startCrop, {
+    ...startCrop,
+    angle: normalizeAngle(angle),
+  }, imageWidth, imageHeight);
+}
+
+// Moving and resizing rotated crops keeps all four corners inside the image.
+function moveRotatedCrop(crop, evData, imageWidth, imageHeight, limits) {
+  if (evData.isResize) {
+    const diff = rotatePoint({ x: evData.xDiff, y: evData.yDiff }, -crop.angle);
+    return resizeRotatedCrop(evData.startCrop, evData.ord, diff, imageWidth, imageHeight, limits, evData.fromCenter) || crop;
+  }
+
+  const isPixels = crop.unit === 'px';
+
+  return containCrop(crop, {
+    ...crop,
+    x: evData.cropStartX + (isPixels ? evData.xDiff : evData.xDiffPc),
+    y: evData.cropStartY + (isPixels ? evData.yDiff : evData.yDiffPc),
+  }, imageWidth, imageHeight);
+}
+
+// Pressing or letting go of the resize from centre modifier carries on from the current crop, so it
+// doesn't jump. The handle is then on whichever side of the centre the pointer is.
+function restartResize(crop, evData, clientPos, imageWidth, imageHeight, zoom) {
+  const { startCrop, ord } = evData;
+  const scaleX = crop.unit === 'px' ? 1 : imageWidth / 100;
+  const scaleY = crop.unit === 'px' ? 1 : imageHeight / 100;
+  let nextOrd = ord;
+
+  // Rotated crops can't be dragged over themselves, so keep their handle.
+  if (!crop.angle) {
+    const xDir = getOrdDirection(ord, 'w', 'e');
+    const yDir = getOrdDirection(ord, 'n', 's');
+    // Where the pointer is on the image, in the unit of the crop.
+    const pointerX = startCrop.x + (xDir > 0 ? startCrop.width : 0) + ((clientPos.x - evData.clientStartX) / zoom / scaleX);
+    const pointerY = startCrop.y + (yDir > 0 ? startCrop.height : 0) + ((clientPos.y - evData.clientStartY) / zoom / scaleY);
+    const yOrd = pointerY < crop.y + (crop.height / 2) ? 'n' : 's';
+    const xOrd = pointerX < crop.x + (crop.width / 2) ? 'w' : 'e';
+
+    nextOrd = (yDir ? yOrd : '') + (xDir ? xOrd : '');
+  }
+
+  const cropOffset = evData.cropOffset && {
+    left: evData.cropOffset.left + ((crop.x - startCrop.x) * scaleX * zoom),
+    top: evData.cropOffset.top + ((crop.y - startCrop.y) * scaleY * zoom),
+  };
+
+  Object.assign(evData, createDragData(crop, clientPos, nextOrd, cropOffset), {
+    inversedXOrd: false,
+    inversedYOrd: false,
+  });
+}
+
+// Moves all the points of a polygon by `diff`, keeping them inside the image (or 100 for percent).
+function movePolygon(points, diff, imageMaxWidth, imageMaxHeight) {
+  const bounds = getPolygonBounds(points);
+  const xDiff = clamp(diff.x, -bounds.x, imageMaxWidth - (bounds.x + bounds.width));
+  const yDiff = clamp(diff.y, -bounds.y, imageMaxHeight - (bounds.y + bounds.height));
+
+  return points.map(point => ({ x: point.x + xDiff, y: point.y + yDiff }));
+}
+
+/**
+ * Moves, resizes or rotates a crop for a pointer move, depending on how the drag was started.
+ *
+ * @param {Object} crop - The complete crop (with x, y, width, height and unit) at the last move.
+ * @param {Object} evData - From createDragData/createNewCropDragData/createRotateData, updated by
+ *   every move. Set `evData.angleStep` to turn in steps of that many degrees, and
+ *   `evData.fromCenter` to resize symmetrically around the centre.
+ * @param {Object} clientPos - The page position of the pointer.
+ * @param {Number} imageWidth - The rendered width of the image.
+ * @param {Number} imageHeight - The rendered height of the image.
+ * @param {Object} limits - minWidth/maxWidth/minHeight/maxHeight in the unit of the crop.
+ * @param {Number} [zoom] - How much the image is magnified on screen.
+ * @returns {Object} The next crop.
+ */
+function moveCrop(crop, evData, clientPos, imageWidth, imageHeight, limits, zoom = 1) {
+  if (evData.isRotate) {
+    return rotateCrop(evData, clientPos, imageWidth, imageHeight, evData.angleStep);
+  }
+
+  const fromCenter = Boolean(evData.fromCenter);
+
+  if (evData.isResize && evData.wasFromCenter !== undefined && evData.wasFromCenter !== fromCenter) {
+    restartResize(crop, evData, clientPos, imageWidth, imageHeight, zoom);
+  }
+
+  evData.wasFromCenter = fromCenter;
+
+  let clientY = clientPos.y;
+
+  if (evData.isResize && crop.aspect && evData.cropOffset && !crop.angle) {
+    clientY = straightenYPath(evData, clientPos.x);
+  }
+
+  // Pointer movement is on screen, the crop is relative to the unzoomed image.
+  evData.xDiff = (clientPos.x - evData.clientStartX) / zoom;
+  evData.xDiffPc = (evData.xDiff / imageWidth) * 100;
+  evData.yDiff = (clientY - evData.clientStartY) / zoom;
+  evData.yDiffPc = (evData.yDiff / imageHeight) * 100;
+
+  if (crop.angle) {
+    return moveRotatedCrop(crop, evData, imageWidth, imageHeight, limits);
+  }
+
+  if (evData.isResize) {
+    return resizeCrop(crop, evData, imageWidth, imageHeight, limits);
+  }
+
+  return dragCrop(crop, evData, imageWidth, imageHeight);
+}
+/* eslint-enable no-param-reassign */
+
+// Returns the smallest offset that moves one of `values` onto one of `lines`, if within `threshold`.
+function findSnap(values, lines, threshold) {
+  let snap = null;
+
+  values.forEach((value) => {
+    lines.forEach((line) => {
+      const delta = line - value;
+      if (Math.abs(delta) <= threshold && (!snap || Math.abs(delta) < Math.abs(snap.delta))) {
+        snap = { delta, line };
+      }
+    });
+  });
+
+  return snap;
+}
+
+/**
+ * Snaps the edges (or centre when moving) of a crop that `moveCrop` returned to the given lines.
+ *
+ * @param {Object} crop - The moved crop.
+ * @param {Object} evData - The drag data it was moved with.
+ * @param {Number[]} linesX - Vertical lines to snap to, in pixels of the image.
+ * @param {Number[]} linesY - Horizontal lines to snap to.
+ * @param {Number} threshold - How close (in pixels of the image) an edge snaps.
+ * @param {Number} imageWidth - The rendered width of the image.
+ * @param {Number} imageHeight - The rendered height of the image.
+ * @param {Object} limits - minWidth/minHeight in the unit of the crop.
+ * @returns {Object} `crop`, snapped in its own unit, and the `guides` (`{ axis, position }`) it
+ *   snapped to, or null.
+ */
+function snapCrop(crop, evData, linesX, linesY, threshold, imageWidth, imageHeight, limits) {
+  const isPixels = crop.unit === 'px';
+  const pixelCrop = { ...convertToPixelCrop(crop, imageWidth, imageHeight), aspect: crop.aspect };
+  const snapped = { ...pixelCrop };
+  const guides = [];
+  let snapX = null;
+  let snapY = null;
+
+  // Snapping one edge would take a crop out of its aspect limits, or off its centre.
+  if (evData.isResize && (hasAspectLimits(crop) || evData.fromCenter)) {
+    return { crop, guides: null };
+  }
+
+  if (!evData.isResize) {
+    snapX = findSnap([pixelCrop.x, pixelCrop.x + (pixelCrop.width / 2), pixelCrop.x + pixelCrop.width], linesX, threshold);
+    snapY = findSnap([pixelCrop.y, pixelCrop.y + (pixelCrop.height / 2), pixelCrop.y + pixelCrop.height], linesY, threshold);
+
+    if (snapX) {
+      snapped.x = clamp(pixelCrop.x + snapX.delta, 0, imageWidth - pixelCrop.width);
+    }
+    if (snapY) {
+      snapped.y = clamp(pixelCrop.y + snapY.delta, 0, imageHeight - pixelCrop.height);
+    }
+  } else {
+    // Only the edges opposite the anchored start point are being resized.
+    const anchorX = isPixels ? evData.cropStartX : (evData.cropStartX / 100) * imageWidth;
+    const anchorY = isPixels ? evData.cropStartY : (evData.cropStartY / 100) * imageHeight;
+    const movingLeft = Math.abs(pixelCrop.x - anchorX) > Math.abs((pixelCrop.x + pixelCrop.width) - anchorX);
+    const movingTop = Math.abs(pixelCrop.y - anchorY) > Math.abs((pixelCrop.y + pixelCrop.height) - anchorY);
+
+    if (yOrds.indexOf(evData.ord) === -1) {
+      snapX = findSnap([movingLeft ? pixelCrop.x : pixelCrop.x + pixelCrop.width], linesX, threshold);
+    }
+    // Fixed aspect crops follow the width.
+    if (xOrds.indexOf(evData.ord) === -1 && !crop.aspect) {
+      snapY = findSnap([movingTop ? pixelCrop.y : pixelCrop.y + pixelCrop.height], linesY, threshold);
+    }
+
+    if (snapX) {
+      snapped.width = movingLeft ? pixelCrop.width - snapX.delta : pixelCrop.width + snapX.delta;
+      snapped.x = movingLeft ? pixelCrop.x + snapX.delta : pixelCrop.x;
+
+      if (crop.aspect) {
+        snapped.height = snapped.width / crop.aspect;
+        snapped.y = movingTop ? (pixelCrop.y + pixelCrop.height) - snapped.height : pixelCrop.y;
+      }
+    }
+    if (snapY) {
+      snapped.height = movingTop ? pixelCrop.height - snapY.delta : pixelCrop.height + snapY.delta;
+      snapped.y = movingTop ? pixelCrop.y + snapY.delta : pixelCrop.y;
+    }
+
+    // Don't snap out of the image or past the size limits.
+    const minWidth = isPixels ? limits.minWidth : (limits.minWidth / 100) * imageWidth;
+    const minHeight = isPixels ? limits.minHeight : (limits.minHeight / 100) * imageHeight;
+
+    if (
+      snapped.x < 0 || snapped.y < 0 ||
+      snapped.x + snapped.width > imageWidth ||
+      snapped.y + snapped.height > imageHeight ||
+      snapped.width < minWidth || snapped.height < minHeight
+    ) {
+      return { crop, guides: null };
+    }
+  }
+
+  if (snapX) {
+    guides.push({ axis: 'x', position: snapX.line });
+  }
+  if (snapY) {
+    guides.push({ axis: 'y', position: snapY.line });
+  }
+
+  if (!snapX && !snapY) {
+    return { crop, guides: null };
+  }
+
+  return {
+    crop: {
+      ...crop,
+      ...(isPixels ? snapped : convertToPercentCrop(snapped, imageWidth, imageHeight)),
+    },
+    guides,
+  };
+}
+
+/**
+ * Scales a crop around its centre (e.g. for a pinch), keeping its aspect within the min/max
+ * limits and the image. A rotated crop keeps all four of its corners inside the image.
+ *
+ * @param {Object} crop - The crop when the scaling started.
+ * @param {Number} scale - How much bigger to make it.
+ * @param {Number} imageWidth - The rendered width of the image.
+ * @param {Number} imageHeight - The rendered height of the image.
+ * @param {Object} limits - minWidth/maxWidth/minHeight/maxHeight in the unit of the crop.
+ * @returns {Object} The scaled crop.
+ */
+function scaleCrop(crop, scale, imageWidth, imageHeight, limits) {
+  const boxWidth = crop.unit === 'px' ? imageWidth : 100;
+  const boxHeight = crop.unit === 'px' ? imageHeight : 100;
+  const minScale = Math.max(limits.minWidth / crop.width, limits.minHeight / crop.height);
+  const maxScale = Math.min(
+    (limits.maxWidth || boxWidth) / crop.width,
+    (limits.maxHeight || boxHeight) / crop.height,
+    boxWidth / crop.width,
+    boxHeight / crop.height,
+  );
+  const clampedScale = clamp(scale, Math.min(minScale, maxScale), maxScale);
+  const width = crop.width * clampedScale;
+  const height = crop.height * clampedScale;
+  const x = (crop.x + (crop.width / 2)) - (width / 2);
+  const y = (crop.y + (crop.height / 2)) - (height / 2);
+
+  if (crop.angle) {
+    return containCrop(crop, {
+      ...crop,
+      x,
+      y,
+      width,
+      height,
+    }, imageWidth, imageHeight);
+  }
+
+  return {
+    ...crop,
+    x: clamp(x, 0, boxWidth - width),
+    y: clamp(y, 0, boxHeight - height),
+    width,
+    height,
+  };
+}
+
+/**
+ * Moves the edges of a drag handle by a step, e.g. for the arrow keys, keeping within the image,
+ * the min/max limits and the aspect.
+ *
+ * @param {Object} crop
+ * @param {String} ord - The drag handle ordinate.
+ * @param {Number} xStep - In the unit of the crop.
+ * @param {Number} yStep
+ * @param {Number} imageWidth - The rendered width of the image.
+ * @param {Number} imageHeight - The rendered height of the image.
+ * @param {Object} limits - minWidth/maxWidth/minHeight/maxHeight in the unit of the crop.
+ * @returns {Object} The resized crop.
+ */
+function keyboardResizeCrop(crop, ord, xStep, yStep, imageWidth, imageHeight, limits) {
+  const isPixels = crop.unit === 'px';
+  const scaleX = isPixels ? 1 : imageWidth / 100;
+  const scaleY = isPixels ? 1 : imageHeight / 100;
+  const pixelCrop = convertToPixelCrop(crop, imageWidth, imageHeight);
+  const minWidth = (limits.minWidth || 0) * scaleX;
+  const minHeight = (limits.minHeight || 0) * scaleY;
+  const maxWidth = limits.maxWidth ? limits.maxWidth * scaleX : imageWidth;
+  const maxHeight = limits.maxHeight ? limits.maxHeight * scaleY : imageHeight;
+
+  if (crop.angle) {
+    const diff = { x: xStep * scaleX, y: yStep * scaleY };
+    return resizeRotatedCrop(crop, ord, diff, imageWidth, imageHeight, limits) || crop;
+  }
+
+  let left = pixelCrop.x;
+  let top = pixelCrop.y;
+  let right = pixelCrop.x + pixelCrop.width;
+  let bottom = pixelCrop.y + pixelCrop.height;
+
+  if (ord.indexOf('w') > -1) {
+    left = clamp(left + (xStep * scaleX), Math.max(0, right - maxWidth), right - minWidth);
+  } else if (ord.indexOf('e') > -1) {
+    right = clamp(right + (xStep * scaleX), left + minWidth, Math.min(imageWidth, left + maxWidth));
+  }
+
+  if (ord.indexOf('n') > -1) {
+    top = clamp(top + (yStep * scaleY), Math.max(0, bottom - maxHeight), bottom - minHeight);
+  } else if (ord.indexOf('s') > -1) {
+    bottom = clamp(bottom + (yStep * scaleY), top + minHeight, Math.min(imageHeight, top + maxHeight));
+  }
+
+  // Fixed aspects only have corner handles, follow whichever side was moved. Limited aspects
+  // follow the same way if they have to.
+  const aspect = hasAspectLimits(crop) ?
+    constrainAspect(crop, (right - left) / (bottom - top)) :
+    crop.aspect;
+
+  if (aspect) {
+    const anchorTop = ord.indexOf('n') === -1;
+    const anchorLeft = ord.indexOf('w') === -1;
+    let width = right - left;
+    let height = bottom - top;
+
+    if (xStep) {
+      height = width / aspect;
+    } else {
+      width = height * aspect;
+    }
+
+    const maxAspectHeight = anchorTop ? imageHeight - top : bottom;
+    const maxAspectWidth = anchorLeft ? imageWidth - left : right;
+    height = Math.min(height, maxAspectHeight, maxAspectWidth / aspect);
+    width = height * aspect;
+
+    if (anchorTop) {
+      bottom = top + height;
+    } else {
+      top = bottom - height;
+    }
+
+    if (anchorLeft) {
+      right = left + width;
+    } else {
+      left = right - width;
+    }
+  }
+
+  const nextPixelCrop = {
+    unit: 'px',
+    aspect: crop.aspect,
+    x: left,
+    y: top,
+    width: right - left,
+    height: bottom - top,
+  };
+
+  return {
+    ...crop,
+    ...(isPixels ? nextPixelCrop : convertToPercentCrop(nextPixelCrop, imageWidth, imageHeight)),
+  };
+}
+
+export {
+  xOrds,
+  yOrds,
+  xyOrds,
+  createDragData,
+  createNewCrop,
+  createNewCropDragData,
+  createRotateData,
+  moveCrop,
+  snapCrop,
+  scaleCrop,
+  keyboardResizeCrop,
+  movePolygon,
+  dragCrop,
+  resizeCrop,
+  resizeRotatedCrop,
+  rotatePoint,
+  straightenYPath,
+};
@@ -0,0 +1,291 @@
+import { convertToNaturalCrop } from './cropUtils';
+
+const cropStringFormats = ['iiif', 'imgix', 'cloudinary', 'css'];
+
+// Up to 4 decimals, without trailing zeros.
+function formatNumber(num) {
+  return String(Math.round(num * 10000) / 10000);
+}
+
+// Whole pixels. The edges are rounded rather than the size, so the crop stays inside the image.
+function roundCrop(crop) {
+  const x = Math.round(crop.x);
+  const y = Math.round(crop.y);
+
+  return {
+    ...crop,
+    x,
+    y,
+    width: Math.round(crop.x + crop.width) - x,
+    height: Math.round(crop.y + crop.height) - y,
+  };
+}
+
+// The size can be an <img> or anything else with the same properties. Without a rendered size px
+// crops are taken to be of the natural image.
+function getSize(size) {
+  const {
+    naturalWidth,
+    naturalHeight,
+    width = naturalWidth,
+    height = naturalHeight,
+  } = size;
+
+  return {
+    width,
+    height,
+    naturalWidth: naturalWidth || width,
+    naturalHeight: naturalHeight || height,
+  };
+}
+
+function toNaturalCrop(crop, size) {
+  if (crop.unit === 'natural') {
+    return crop;
+  }
+
+  const {
+    width,
+    height,
+    naturalWidth,
+    naturalHeight,
+  } = getSize(size);
+
+  if (!width || !height) {
+    throw new Error(`A '${crop.unit}' crop needs the image size to be converted to natural pixels`);
+  }
+
+  return convertToNaturalCrop(crop, width, height, naturalWidth, naturalHeight);
+}
+
+function getNaturalSize(size, format) {
+  const { naturalWidth, naturalHeight } = getSize(size);
+
+  if (!naturalWidth || !naturalHeight) {
+    throw new Error(`The ${format} format needs the image size`);
+  }
+
+  return { naturalWidth, naturalHeight };
+}
+
+function parseNumbers(values, string, format) {
+  const numbers = values.map(value => (/^-?(\d+\.?\d*|\.\d+)$/.test(value) ? Number(value) : NaN));
+
+  if (numbers.some(isNaN)) {
+    throw new Error(`Can't parse ${JSON.stringify(string)} in the ${format} format`);
+  }
+
+  return numbers;
+}
+
+function makeCrop(unit, [x, y, width, height], string, format) {
+  if (width <= 0 || height <= 0) {
+    throw new Error(`The ${format} crop ${JSON.stringify(string)} has no size`);
+  }
+
+  return {
+    unit,
+    x,
+    y,
+    width,
+    height,
+  };
+}
+
+// Expands the 1 to 4 values of a CSS shorthand to top, right, bottom and left.
+function expandSides(values) {
+  const [top, right = top, bottom = top, left = right] = values;
+  return [top, right, bottom, left];
+}
+
+const formatters = {
+  // An IIIF Image API `region`, in pixels of the full image or in percent.
+  iiif(crop, size) {
+    if (crop.unit === '%') {
+      return `pct:${[crop.x, crop.y, crop.width, crop.height].map(formatNumber).join(',')}`;
+    }
+
+    const naturalCrop = roundCrop(toNaturalCrop(crop, size));
+    return [naturalCrop.x, naturalCrop.y, naturalCrop.width, naturalCrop.height].join(',');
+  },
+
+  imgix(crop, size) {
+    const naturalCrop = roundCrop(toNaturalCrop(crop, size));
+    return `rect=${[naturalCrop.x, naturalCrop.y, naturalCrop.width, naturalCrop.height].join(',')}`;
+  },
+
+  cloudinary(crop, size) {
+    const naturalCrop = roundCrop(toNaturalCrop(crop, size));
+    return `c_crop,h_${naturalCrop.height},w_${naturalCrop.width},x_${naturalCrop.x},y_${naturalCrop.y}`;
+  },
+
+  // For `object-view-box` (or `clip-path`), which are relative to the natural size.
+  css(crop, size) {
+    if (crop.unit === '%') {
+      const sides = [crop.y, 100 - crop.x - crop.width, 100 - crop.y - crop.height, crop.x];
+      return `inset(${sides.map(side => `${formatNumber(side)}%`).join(' ')})`;
+    }
+
+    const { naturalWidth, naturalHeight } = getNaturalSize(size, 'css');
+    const naturalCrop = roundCrop(toNaturalCrop(crop, size));
+    const sides = [
+      naturalCrop.y,
+      naturalWidth - naturalCrop.x - naturalCrop.width,
+      naturalHeight - naturalCrop.y - naturalCrop.height,
+      naturalCrop.x,
+    ];
+
+    return `inset(${sides.map(side => `${side}px`).join(' ')})`;
+  },
+};
+
+const parsers = {
+  iiif(string, size) {
+    if (string === 'full') {
+      return makeCrop('%', [0, 0, 100, 100], string, 'iiif');
+    }
+
+    if (string === 'square') {
+      const { naturalWidth, naturalHeight } = getNaturalSize(size, 'iiif square');
+      const side = Math.min(naturalWidth, naturalHeight);
+
+      return makeCrop('natural', [(naturalWidth - side) / 2, (naturalHeight - side) / 2, side, side], string, 'iiif');
+    }
+
+    const isPercent = string.indexOf('pct:') === 0;
+    const values = (isPercent ? string.slice(4) : string).split(',');
+
+    if (values.length !== 4) {
+      throw new Error(`Can't parse ${JSON.stringify(string)} in the iiif format`);
+    }
+
+    return makeCrop(isPercent ? '%' : 'natural', parseNumbers(values, string, 'iiif'), string, 'iiif');
+  },
+
+  // The `rect` value, or a query string with it.
+  imgix(string) {
+    const value = string.indexOf('=') === -1 ? string : (string.match(/(?:^|[?&])rect=([^&]*)/) || [])[1];
+    const values = value ? decodeURIComponent(value).split(',') : [];
+
+    if (values.length !== 4) {
+      throw new Error(`Can't parse ${JSON.stringify(string)} in the imgix format`);
+    }
+
+    return makeCrop('natural', parseNumbers(values, string, 'imgix'), string, 'imgix');
+  },
+
+  // The transformation with `c_crop`, or a URL path with it.
+  cloudinary(string) {
+    const [transformation] = string.split('/').filter(part => part.split(',').indexOf('c_crop') !== -1);
+
+    if (!transformation) {
+      throw new Error(`Can't find c_crop in ${JSON.stringify(string)}`);
+    }
+
+    const params = transformation.split(',').reduce((result, param) => {
+      const [key, ...value] = param.split('_');
+      return { ...result, [key]: value.join('_') };
+    }, {});
+
+    // Otherwise x and y are offsets from somewhere else.
+    if (params.g && params.g !== 'north_west') {
+      throw new Error(`Can't parse a cloudinary crop with the gravity ${params.g}`);
+    }
+
+    const values = [params.x || '0', params.y || '0', params.w, params.h];
+
+    if (values.some(value => value === undefined)) {
+      throw new Error(`The cloudinary crop ${JSON.stringify(string)} needs w_ and h_`);
+    }
+
+    return makeCrop('natural', parseNumbers(values, string, 'cloudinary'), string, 'cloudinary');
+  },
+
+  // `inset()` with px and % values. Only % values can be parsed without the image size.
+  css(string, size) {
+    const match = string.match(/^inset\(([^)]*)\)$/);
+    const values = match ? match[1].trim().split(/\s+/) : [];
+
+    if (!values[0] || values.length > 4) {
+      throw new Error(`Can't parse ${JSON.stringify(string)} in the css format`);
+    }
+
+    const sides = expandSides(values.map(value => value.match(/^(.*?)(px|%)?$/)));
+    const numbers = parseNumbers(sides.map(side => side[1]), string, 'css');
+    const units = sides.map(([, number, unit]) => (Number(number) === 0 ? null : unit || 'none'));
+
+    if (units.indexOf('none') !== -1) {
+      throw new Error(`The css crop ${JSON.stringify(string)} needs px or % values`);
+    }
+
+    if (units.every(unit => unit !== 'px')) {
+      const [top, right, bottom, left] = numbers;
+      return makeCrop('%', [left, top, 100 - left - right, 100 - top - bottom], string, 'css');
+    }
+
+    const { naturalWidth, naturalHeight } = getNaturalSize(size, 'css');
+    const [top, right, bottom, left] = numbers.map((number, i) => {
+      if (units[i] !== '%') {
+        return number;
+      }
+
+      return (number / 100) * (i % 2 ? naturalWidth : naturalHeight);
+    });
+
+    return makeCrop('natural', [left, top, naturalWidth - left - right, naturalHeight - top - bottom], string, 'css');
+  },
+};
+
+// The formats are all rectangles, so a turned or shaped crop can't be written without losing it.
+function checkRectangle(crop) {
+  if (crop.angle || crop.points || crop.corners) {
+    throw new Error('Only rectangle crops can be written as crop strings, not crops with an angle, points or corners');
+  }
+}
+
+function getFormat(format, map) {
+  if (!map[format]) {
+    throw new Error(`Unknown crop string format ${JSON.stringify(format)}, expected one of ${cropStringFormats.join(', ')}`);
+  }
+
+  return map[format];
+}
+
+/**
+ * Writes a crop in the region syntax of an image server or CSS. `iiif` and `css` keep % crops in
+ * percent, otherwise it's whole pixels of the natural image. Throws for crops with an `angle`,
+ * `points` or `corners`, which the formats can't describe.
+ *
+ * @param {Object} crop - A px, % or natural rectangle crop.
+ * @param {String} format - 'iiif', 'imgix', 'cloudinary' or 'css'.
+ * @param {Object} [size] - `width`/`height` (for px crops) and `naturalWidth`/`naturalHeight`,
+ *   e.g. the image. Only needed to convert between units.
+ * @returns {String} e.g. `pct:10,10,50,50`, `rect=40,20,200,100`,
+ *   `c_crop,h_100,w_200,x_40,y_20` or `inset(10% 40% 40% 10%)`.
+ */
+function toCropString(crop, format, size = {}) {
+  const formatter = getFormat(format, formatters);
+
+  checkRectangle(crop);
+  return formatter(crop, size);
+}
+
+/**
+ * Reads a crop written by an image server or CSS (or toCropString). Pixels are of the natural
+ * image, so they give natural crops.
+ *
+ * @param {String} string
+ * @param {String} format - 'iiif', 'imgix', 'cloudinary' or 'css'.
+ * @param {Object} [size] - `naturalWidth`/`naturalHeight`, e.g. the image. Only needed for IIIF
+ *   `square` and css px values.
+ * @returns {Object} A natural or % crop.
+ */
+function parseCropString(string, format, size = {}) {
+  return getFormat(format, parsers)(String(string).trim(), size);
+}
+
+export {
+  cropStringFormats,
+  toCropString,
+  parseCropString,
+};
@@ -0,0 +1,597 @@
+function clamp(num, min, max) {
+  return Math.min(Math.max(num, min), max);
+}
+
+function isCropValid(crop) {
+  return crop && crop.width && crop.height && !isNaN(crop.width) && !isNaN(crop.height);
+}
+
+function inverseOrd(ord) {
+  if (ord === 'n') return 's';
+  if (ord === 'ne') return 'sw';
+  if (ord === 'e') return 'w';
+  if (ord === 'se') return 'nw';
+  if (ord === 's') return 'n';
+  if (ord === 'sw') return 'ne';
+  if (ord === 'w') return 'e';
+  if (ord === 'nw') return 'se';
+  return ord;
+}
+
+// Instead of fixing the `aspect`, crops can limit it to a range (`minAspect`/`maxAspect`) or to a
+// list of `aspectPresets`. Unlike `aspect` these are always in pixels of the image.
+function hasAspectLimits(crop) {
+  return Boolean(!crop.aspect && (
+    crop.minAspect || crop.maxAspect || (crop.aspectPresets && crop.aspectPresets.length)
+  ));
+}
+
+// The allowed aspect closest to `aspect`. Presets are compared by ratio, so 2:1 is as far from
+// 1:1 as 1:2 is.
+function constrainAspect(crop, aspect) {
+  if (crop.aspectPresets && crop.aspectPresets.length) {
+    return crop.aspectPresets.reduce((closest, preset) => (
+      Math.abs(Math.log(preset / aspect)) < Math.abs(Math.log(closest / aspect)) ? preset : closest
+    ));
+  }
+
+  return clamp(aspect, crop.minAspect || 0, crop.maxAspect || Infinity);
+}
+
+// A fixed `aspect` is in pixels of the image, which percentages aren't unless the image is
+// square. This is the aspect of the crop's own width and height.
+function getUnitAspect(crop, imageWidth, imageHeight) {
+  return crop.unit === '%' ? (crop.aspect * imageHeight) / imageWidth : crop.aspect;
+}
+
+function getCropAspect(crop, imageWidth, imageHeight) {
+  if (crop.unit === '%') {
+    return (crop.width * imageWidth) / (crop.height * imageHeight);
+  }
+
+  return crop.width / crop.height;
+}
+
+// Shrinks one side of a crop with aspect limits, if it's outside them.
+function shrinkToAspect(crop, imageWidth, imageHeight) {
+  if (!crop.width || !crop.height) {
+    return crop;
+  }
+
+  const aspect = getCropAspect(crop, imageWidth, imageHeight);
+  const allowedAspect = constrainAspect(crop, aspect);
+
+  if (allowedAspect < aspect) {
+    return { ...crop, width: crop.width * (allowedAspect / aspect) };
+  }
+
+  if (allowedAspect > aspect) {
+    return { ...crop, height: crop.height * (aspect / allowedAspect) };
+  }
+
+  return crop;
+}
+
+// Gives a crop its aspect (or the closest one allowed). Like the other utilities below, px and
+// natural crops are both pixels, so pass the natural size of the image for a natural crop.
+function makeAspectCrop(crop, imageWidth, imageHeight) {
+  if (hasAspectLimits(crop)) {
+    // Size the crop with the closest allowed aspect, without fixing it.
+    const aspect = constrainAspect(crop, crop.width && crop.height ? getCropAspect(crop, imageWidth, imageHeight) : 1);
+    const { aspect: fixedAspect, ...aspectCrop } = makeAspectCrop({ ...crop, aspect }, imageWidth, imageHeight);
+
+    return aspectCrop;
+  }
+
+  if (isNaN(crop.aspect)) {
+    console.warn('`crop.aspect` should be a number in order to make an aspect crop', crop);
+    return crop;
+  }
+
+  const completeCrop = {
+    unit: 'px',
+    x: 0,
+    y: 0,
+    ...crop,
+  };
+
+  const isPixels = crop.unit !== '%';
+  const imageMaxWidth = isPixels ? imageWidth : 100;
+  const imageMaxHeight = isPixels ? imageHeight : 100;
+
+  function scaleWidth(width) {
+    if (isPixels) return width;
+    return width * imageHeight / imageWidth;
+  }
+
+  function scaleHeight(height) {
+    if (isPixels) return height;
+    return height * imageWidth / imageHeight;
+  }
+
+  if (crop.width) {
+    completeCrop.height = scaleHeight(completeCrop.width / crop.aspect);
+  }
+
+  if (crop.height) {
+    completeCrop.width = scaleWidth(completeCrop.height * crop.aspect);
+  }
+
+  if (completeCrop.y + completeCrop.height > imageMaxHeight) {
+    completeCrop.height = imageMaxHeight - completeCrop.y;
+    completeCrop.width = scaleWidth(completeCrop.height * crop.aspect);
+  }
+
+  if (completeCrop.x + completeCrop.width > imageMaxWidth) {
+    completeCrop.width = imageMaxWidth - completeCrop.x;
+    completeCrop.height = scaleHeight(completeCrop.width / crop.aspect);
+  }
+
+  return completeCrop;
+}
+
+// Polygon crops (mode="polygon") have points as well as their bounding box.
+function scalePoints(points, scaleX, scaleY) {
+  return points && points.map(point => ({ x: point.x * scaleX, y: point.y * scaleY }));
+}
+
+// Perspective crops (mode="perspective") have `corners`, the points keyed by ordinate.
+function scaleCorners(corners, scaleX, scaleY) {
+  if (!corners) {
+    return undefined;
+  }
+
+  return Object.keys(corners).reduce((scaled, ord) => ({
+    ...scaled,
+    [ord]: { x: corners[ord].x * scaleX, y: corners[ord].y * scaleY },
+  }), {});
+}
+
+function getPolygonBounds(points) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return {
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y,
+  };
+}
+
+function makePolygonCrop(points, unit) {
+  return {
+    unit,
+    points,
+    ...getPolygonBounds(points),
+  };
+}
+
+function makePerspectiveCrop(corners, unit) {
+  return {
+    unit,
+    corners,
+    ...getPolygonBounds(Object.keys(corners).map(ord => corners[ord])),
+  };
+}
+
+// The natural size is only needed for 'natural' crops, which are in pixels of the source image
+// rather than the rendered one. It defaults to the image size, e.g. on a server. The conversions
+// only change the unit and the geometry, the crop's other fields (aspect limits, `locked`...) stay.
+function convertToPercentCrop(crop, imageWidth, imageHeight, naturalWidth = imageWidth, naturalHeight = imageHeight) {
+  if (crop.unit === '%') {
+    return crop;
+  }
+
+  const isNatural = crop.unit === 'natural';
+  const width = isNatural ? naturalWidth : imageWidth;
+  const height = isNatural ? naturalHeight : imageHeight;
+
+  return {
+    ...crop,
+    unit: '%',
+    x: crop.x / width * 100,
+    y: crop.y / height * 100,
+    width: crop.width / width * 100,
+    height: crop.height / height * 100,
+    points: scalePoints(crop.points, 100 / width, 100 / height),
+    corners: scaleCorners(crop.corners, 100 / width, 100 / height),
+  };
+}
+
+function convertToPixelCrop(crop, imageWidth, imageHeight, naturalWidth = imageWidth, naturalHeight = imageHeight) {
+  if (crop.unit === 'px') {
+    return crop;
+  }
+
+  if (crop.unit === 'natural') {
+    const scaleX = imageWidth / naturalWidth;
+    const scaleY = imageHeight / naturalHeight;
+
+    return {
+      ...crop,
+      unit: 'px',
+      x: crop.x * scaleX,
+      y: crop.y * scaleY,
+      width: crop.width * scaleX,
+      height: crop.height * scaleY,
+      points: scalePoints(crop.points, scaleX, scaleY),
+      corners: scaleCorners(crop.corners, scaleX, scaleY),
+    };
+  }
+
+  return {
+    ...crop,
+    unit: 'px',
+    x: crop.x * imageWidth / 100,
+    y: crop.y * imageHeight / 100,
+    width: crop.width * imageWidth / 100,
+    height: crop.height * imageHeight / 100,
+    points: scalePoints(crop.points, imageWidth / 100, imageHeight / 100),
+    corners: scaleCorners(crop.corners, imageWidth / 100, imageHeight / 100),
+  };
+}
+
+function convertToNaturalCrop(crop, imageWidth, imageHeight, naturalWidth = imageWidth, naturalHeight = imageHeight) {
+  if (crop.unit === 'natural') {
+    return crop;
+  }
+
+  const pixelCrop = convertToPixelCrop(crop, imageWidth, imageHeight);
+  const scaleX = naturalWidth / imageWidth;
+  const scaleY = naturalHeight / imageHeight;
+
+  return {
+    ...crop,
+    unit: 'natural',
+    x: pixelCrop.x * scaleX,
+    y: pixelCrop.y * scaleY,
+    width: pixelCrop.width * scaleX,
+    height: pixelCrop.height * scaleY,
+    points: scalePoints(pixelCrop.points, scaleX, scaleY),
+    corners: scaleCorners(pixelCrop.corners, scaleX, scaleY),
+  };
+}
+
+// Converts min/max size limits in pixels of a `baseWidth` by `baseHeight` image (the rendered or
+// natural size) to `unit` ('px' or '%') of the rendered image. A max that isn't set stays undefined.
+function convertLimits(limits, unit, imageWidth, imageHeight, baseWidth = imageWidth, baseHeight = imageHeight) {
+  const {
+    minWidth = 0,
+    maxWidth,
+    minHeight = 0,
+    maxHeight,
+  } = limits;
+  const scaleX = (unit === 'px' ? imageWidth : 100) / baseWidth;
+  const scaleY = (unit === 'px' ? imageHeight : 100) / baseHeight;
+
+  return {
+    minWidth: minWidth * scaleX,
+    maxWidth: maxWidth === undefined ? undefined : maxWidth * scaleX,
+    minHeight: minHeight * scaleY,
+    maxHeight: maxHeight === undefined ? undefined : maxHeight * scaleY,
+  };
+}
+
+function isAspectInvalid(crop, imageWidth, imageHeight) {
+  if ((!crop.width && crop.height) || (crop.width && !crop.height)) {
+    return true;
+  }
+
+  if (hasAspectLimits(crop)) {
+    if (!crop.width) {
+      return false;
+    }
+
+    // Allow for rounding, e.g. of a crop saved in whole pixels.
+    const aspect = getCropAspect(crop, imageWidth, imageHeight);
+    return Math.abs(constrainAspect(crop, aspect) - aspect) > aspect * 0.001;
+  }
+
+  if (crop.unit !== '%') {
+    return (
+      crop.width / crop.aspect !== crop.height ||
+      crop.height * crop.aspect !== crop.width ||
+      crop.y + crop.height > imageHeight ||
+      crop.x + crop.width > imageWidth
+    );
+  }
+
+  const cropX = Math.round((imageWidth * (crop.x / 100)));
+  const cropY = Math.round((imageHeight * (crop.y / 100)));
+  const cropHeight = Math.round((imageHeight * (crop.height / 100)));
+  const cropWidth = Math.round((imageWidth * (crop.width / 100)));
+
+  return (
+    cropWidth / crop.aspect !== cropHeight ||
+    cropHeight * crop.aspect !== cropWidth ||
+    cropY + crop.height > imageHeight ||
+    cropX + crop.width > imageWidth
+  );
+}
+
+function resolveCrop(crop, imageWidth, imageHeight) {
+  if (crop && (crop.aspect || hasAspectLimits(crop)) && isAspectInvalid(crop, imageWidth, imageHeight)) {
+    return makeAspectCrop(crop, imageWidth, imageHeight);
+  }
+
+  return crop;
+}
+
+// Half the size of the box around a crop turned by its `angle`, in the unit of the crop.
+function getRotatedExtent(crop, imageWidth, imageHeight) {
+  // Crops turn in pixels, which percentages aren't unless the image is square.
+  const scaleX = crop.unit === '%' ? imageWidth / 100 : 1;
+  const scaleY = crop.unit === '%' ? imageHeight / 100 : 1;
+  const radians = (crop.angle * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+  const width = crop.width * scaleX;
+  const height = crop.height * scaleY;
+
+  return {
+    x: ((width * cos) + (height * sin)) / 2 / scaleX,
+    y: ((width * sin) + (height * cos)) / 2 / scaleY,
+  };
+}
+
+// Whether all four corners of a (rotated) crop are inside the image.
+function isCropContained(crop, imageWidth, imageHeight) {
+  const imageMaxWidth = crop.unit === '%' ? 100 : imageWidth;
+  const imageMaxHeight = crop.unit === '%' ? 100 : imageHeight;
+  const extent = crop.angle ?
+    getRotatedExtent(crop, imageWidth, imageHeight) :
+    { x: crop.width / 2, y: crop.height / 2 };
+  const centerX = crop.x + (crop.width / 2);
+  const centerY = crop.y + (crop.height / 2);
+  // Allow for floating point errors from the rotation.
+  const tolerance = 1e-6;
+
+  return centerX - extent.x >= -tolerance &&
+    centerY - extent.y >= -tolerance &&
+    centerX + extent.x <= imageMaxWidth + tolerance &&
+    centerY + extent.y <= imageMaxHeight + tolerance;
+}
+
+// Shrinks a rotated crop (keeping its aspect) until it fits, then moves it inside the image.
+function containRotatedCrop(crop, imageWidth, imageHeight) {
+  const imageMaxWidth = crop.unit === '%' ? 100 : imageWidth;
+  const imageMaxHeight = crop.unit === '%' ? 100 : imageHeight;
+  const extent = getRotatedExtent(crop, imageWidth, imageHeight);
+  const scale = Math.min(1, imageMaxWidth / (extent.x * 2), imageMaxHeight / (extent.y * 2));
+  const width = crop.width * scale;
+  const height = crop.height * scale;
+  const centerX = clamp(crop.x + (crop.width / 2), extent.x * scale, imageMaxWidth - (extent.x * scale));
+  const centerY = clamp(crop.y + (crop.height / 2), extent.y * scale, imageMaxHeight - (extent.y * scale));
+
+  return {
+    ...crop,
+    x: centerX - (width / 2),
+    y: centerY - (height / 2),
+    width,
+    height,
+  };
+}
+
+function containCrop(prevCrop, crop, imageWidth, imageHeight) {
+  // Rotated crops can't be trimmed to the image, so keep all their corners inside it instead.
+  if (crop.angle) {
+    return containRotatedCrop(crop, imageWidth, imageHeight);
+  }
+
+  const contained = { ...crop };
+  const isPixels = crop.unit !== '%';
+  const imageMaxWidth = isPixels ? imageWidth : 100;
+  const imageMaxHeight = isPixels ? imageHeight : 100;
+
+  // Non-aspects are simple
+  if (!crop.aspect) {
+    if (crop.x < 0) {
+      contained.x = 0;
+      contained.width += crop.x;
+    } else if ((crop.x + crop.width) > imageMaxWidth) {
+      contained.width = (imageMaxWidth - crop.x);
+    }
+
+    if ((crop.y + crop.height) > imageMaxHeight) {
+      contained.height = (imageMaxHeight - crop.y);
+    }
+
+    return hasAspectLimits(crop) ? shrinkToAspect(contained, imageWidth, imageHeight) : contained;
+  }
+
+  const aspect = getUnitAspect(crop, imageWidth, imageHeight);
+  let adjustedForX = false;
+
+  if (crop.x < 0) {
+    contained.x = 0;
+    contained.width += crop.x;
+    contained.height = contained.width / aspect;
+    adjustedForX = true;
+  } else if ((crop.x + crop.width) > imageMaxWidth) {
+    contained.width = (imageMaxWidth - crop.x);
+    contained.height = contained.width / aspect;
+    adjustedForX = true;
+  }
+
+  // If sizing in up direction we need to pin Y at the point it
+  // would be at the boundary.
+  if (adjustedForX && prevCrop.y > contained.y) {
+    contained.y = crop.y + (crop.height - contained.height);
+  }
+
+  let adjustedForY = false;
+
+  if ((contained.y + contained.height) > imageMaxHeight) {
+    contained.height = (imageMaxHeight - crop.y);
+    contained.width = contained.height * aspect;
+    adjustedForY = true;
+  }
+
+  // If sizing in left direction we need to pin X at the point it
+  // would be at the boundary.
+  if (adjustedForY && prevCrop.x > contained.x) {
+    contained.x = crop.x + (crop.width - contained.width);
+  }
+
+  return contained;
+}
+
+function isFiniteNumber(num) {
+  return typeof num === 'number' && isFinite(num);
+}
+
+/**
+ * Checks a crop (e.g. one posted to a server) against the image it's for. Doesn't need a DOM.
+ *
+ * @param {Object} crop
+ * @param {Number} imageWidth - The size that px crops are relative to.
+ * @param {Number} imageHeight
+ * @param {Object} [options] - `naturalWidth`/`naturalHeight` for natural crops (defaults to the
+ * image size) and `minWidth`, `minHeight`, `maxWidth`, `maxHeight` in pixels (natural pixels for
+ * natural crops).
+ * @returns {String[]} What is wrong with the crop, empty if it's valid.
+ */
+function validateCrop(crop, imageWidth, imageHeight, options = {}) {
+  const {
+    naturalWidth = imageWidth,
+    naturalHeight = imageHeight,
+    minWidth = 0,
+    minHeight = 0,
+    maxWidth = Infinity,
+    maxHeight = Infinity,
+  } = options;
+
+  if (!crop || typeof crop !== 'object') {
+    return ['The crop must be an object'];
+  }
+
+  if (['px', '%', 'natural'].indexOf(crop.unit) === -1) {
+    return [`Unknown unit ${JSON.stringify(crop.unit)}, expected 'px', '%' or 'natural'`];
+  }
+
+  const invalidKeys = ['x', 'y', 'width', 'height'].filter(key => !isFiniteNumber(crop[key]));
+
+  if (invalidKeys.length) {
+    return invalidKeys.map(key => `\`${key}\` must be a number`);
+  }
+
+  const errors = [];
+
+  if (crop.width <= 0 || crop.height <= 0) {
+    errors.push('The crop must have a width and height');
+    return errors;
+  }
+
+  // Natural crops are checked as pixel crops of the natural image.
+  const isNatural = crop.unit === 'natural';
+  const width = isNatural ? naturalWidth : imageWidth;
+  const height = isNatural ? naturalHeight : imageHeight;
+  const pixelCrop = isNatural ?
+    { ...crop, unit: 'px' } :
+    convertToPixelCrop(crop, imageWidth, imageHeight);
+
+  if (pixelCrop.angle !== undefined && !isFiniteNumber(pixelCrop.angle)) {
+    errors.push('`angle` must be a number');
+  } else if (!isCropContained(pixelCrop, width, height)) {
+    errors.push('The crop is outside the image');
+  }
+
+  const shape = pixelCrop.points || (pixelCrop.corners && Object.keys(pixelCrop.corners).map(ord => pixelCrop.corners[ord]));
+
+  if (shape && shape.some(point => !point || !isFiniteNumber(point.x) || !isFiniteNumber(point.y))) {
+    errors.push('Every point of the crop must have a numeric `x` and `y`');
+  } else if (shape && shape.some(point => point.x < 0 || point.y < 0 || point.x > width || point.y > height)) {
+    errors.push('A point of the crop is outside the image');
+  }
+
+  // Allow for rounding, e.g. of a crop saved in whole pixels.
+  const aspect = pixelCrop.width / pixelCrop.height;
+
+  if (crop.aspect && Math.abs(crop.aspect - aspect) > aspect * 0.001) {
+    errors.push(`The crop should have an aspect of ${crop.aspect}, but it's ${aspect}`);
+  } else if (hasAspectLimits(crop) && Math.abs(constrainAspect(crop, aspect) - aspect) > aspect * 0.001) {
+    errors.push(`The aspect ${aspect} isn't allowed`);
+  }
+
+  if (pixelCrop.width < minWidth || pixelCrop.height < minHeight) {
+    errors.push(`The crop is smaller than ${minWidth}x${minHeight}`);
+  }
+
+  if (pixelCrop.width > maxWidth || pixelCrop.height > maxHeight) {
+    errors.push(`The crop is bigger than ${maxWidth}x${maxHeight}`);
+  }
+
+  return errors;
+}
+
+// The displayed (width/height) and intrinsic (naturalWidth/naturalHeight) size of an <img>,
+// <video>, <canvas> or <svg>. Other elements use their displayed size for both.
+function getMediaSize(media) {
+  if (media.naturalWidth !== undefined) {
+    return {
+      width: media.width,
+      height: media.height,
+      naturalWidth: media.naturalWidth,
+      naturalHeight: media.naturalHeight,
+    };
+  }
+
+  const width = media.clientWidth;
+  const height = media.clientHeight;
+  let naturalWidth = width;
+  let naturalHeight = height;
+
+  if (media.videoWidth !== undefined) {
+    naturalWidth = media.videoWidth;
+    naturalHeight = media.videoHeight;
+  } else if (typeof media.getContext === 'function') {
+    // A canvas' width/height attributes are its backing store size.
+    naturalWidth = media.width;
+    naturalHeight = media.height;
+  } else if (media.viewBox && media.viewBox.baseVal && media.viewBox.baseVal.width) {
+    naturalWidth = media.viewBox.baseVal.width;
+    naturalHeight = media.viewBox.baseVal.height;
+  }
+
+  return {
+    width,
+    height,
+    naturalWidth,
+    naturalHeight,
+  };
+}
+
+// Calls each of the event handlers that are set, in order.
+function chainHandlers(...handlers) {
+  return (e) => {
+    handlers.forEach(handler => handler && handler(e));
+  };
+}
+
+export {
+  clamp,
+  isCropValid,
+  inverseOrd,
+  makeAspectCrop,
+  hasAspectLimits,
+  constrainAspect,
+  getUnitAspect,
+  getCropAspect,
+  convertToPercentCrop,
+  convertToPixelCrop,
+  convertToNaturalCrop,
+  convertLimits,
+  isAspectInvalid,
+  resolveCrop,
+  containCrop,
+  isCropContained,
+  validateCrop,
+  getMediaSize,
+  chainHandlers,
+  getPolygonBounds,
+  makePolygonCrop,
+  makePerspectiveCrop,
+};
@@ -0,0 +1,283 @@
+/* globals document */
+import { getMediaSize } from './cropUtils';
+import { xyOrds } from './cropEngine';
+import { drawPerspective } from './perspective';
+
+function getOutputSize(width, height, options) {
+  let outputWidth = width;
+  let outputHeight = height;
+
+  if (options.width && options.height) {
+    outputWidth = options.width;
+    outputHeight = options.height;
+  } else if (options.width) {
+    outputWidth = options.width;
+    outputHeight = options.width * (height / width);
+  } else if (options.height) {
+    outputHeight = options.height;
+    outputWidth = options.height * (width / height);
+  }
+
+  if (options.maxDimension) {
+    const scale = Math.min(1, options.maxDimension / Math.max(outputWidth, outputHeight));
+    outputWidth *= scale;
+    outputHeight *= scale;
+  }
+
+  return {
+    width: Math.max(1, Math.round(outputWidth)),
+    height: Math.max(1, Math.round(outputHeight)),
+  };
+}
+
+// The size of a box turned by `rotate` degrees, as it's drawn on screen.
+function getRotatedSize(width, height, rotate = 0) {
+  const radians = (rotate * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(radians));
+  const sin = Math.abs(Math.sin(radians));
+
+  return {
+    width: (width * cos) + (height * sin),
+    height: (width * sin) + (height * cos),
+  };
+}
+
+// A crop with an `angle` is straightened by turning the image the other way around the crop's
+// centre.
+function drawStraightenedImage(ctx, image, crop, source, outputSize) {
+  const { naturalWidth, naturalHeight } = getMediaSize(image);
+
+  ctx.scale(outputSize.width / source.width, outputSize.height / source.height);
+  ctx.translate(source.width / 2, source.height / 2);
+  ctx.rotate((-crop.angle * Math.PI) / 180);
+  ctx.translate(-(source.x + (source.width / 2)), -(source.y + (source.height / 2)));
+  ctx.drawImage(image, 0, 0, naturalWidth, naturalHeight);
+}
+
+function getDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Natural pixels per unit of the crop. Percent and natural crops map straight onto the natural
+// size, pixel crops are relative to the rendered size.
+function getCropScale(image, crop) {
+  const size = getMediaSize(image);
+
+  if (crop.unit === '%') {
+    return { scaleX: size.naturalWidth / 100, scaleY: size.naturalHeight / 100 };
+  }
+
+  if (crop.unit === 'natural') {
+    return { scaleX: 1, scaleY: 1 };
+  }
+
+  return { scaleX: size.naturalWidth / size.width, scaleY: size.naturalHeight / size.height };
+}
+
+// The corners of a perspective crop in natural pixels, in the order of `xyOrds`.
+function getPerspectiveQuad(crop, scale) {
+  return xyOrds.map(ord => ({ x: crop.corners[ord].x * scale.scaleX, y: crop.corners[ord].y * scale.scaleY }));
+}
+
+/**
+ * The size `getCroppedImage` draws a crop at, the natural size of the cropped area unless it's
+ * overridden by the options. Perspective crops are as big as their longest opposite edges.
+ *
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} image
+ * @param {Object} crop
+ * @param {Object} [options] - `width`, `height` and `maxDimension`, as for `getCroppedImage`.
+ * @returns {Object} The `width` and `height` in whole pixels.
+ */
+function getCropOutputSize(image, crop, options = {}) {
+  const scale = getCropScale(image, crop);
+  let width = crop.width * scale.scaleX;
+  let height = crop.height * scale.scaleY;
+
+  if (crop.corners) {
+    const [nw, ne, se, sw] = getPerspectiveQuad(crop, scale);
+
+    width = Math.max(getDistance(nw, ne), getDistance(sw, se));
+    height = Math.max(getDistance(nw, sw), getDistance(ne, se));
+  }
+
+  const size = getRotatedSize(width, height, crop.rotate);
+  return getOutputSize(size.width, size.height, options);
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Unable to create a Blob from the cropped canvas'));
+      }
+    }, type, quality);
+  });
+}
+
+function encodeCanvas(canvas, output, type, quality) {
+  if (output === 'canvas') {
+    return Promise.resolve(canvas);
+  }
+
+  if (output === 'dataUrl') {
+    return Promise.resolve(canvas.toDataURL(type, quality));
+  }
+
+  return canvasToBlob(canvas, type, quality);
+}
+
+function drawUnturnedCrop(ctx, image, crop, outputSize, circularCrop) {
+  const scale = getCropScale(image, crop);
+
+  ctx.imageSmoothingQuality = 'high';
+
+  // Perspective crops are warped from their corners to a rectangle.
+  if (crop.corners) {
+    drawPerspective(ctx, image, getPerspectiveQuad(crop, scale), outputSize.width, outputSize.height);
+    return;
+  }
+
+  const { scaleX, scaleY } = scale;
+  const sourceX = (crop.x || 0) * scaleX;
+  const sourceY = (crop.y || 0) * scaleY;
+  const sourceWidth = crop.width * scaleX;
+  const sourceHeight = crop.height * scaleY;
+
+  if (circularCrop) {
+    ctx.beginPath();
+    ctx.ellipse(
+      outputSize.width / 2,
+      outputSize.height / 2,
+      outputSize.width / 2,
+      outputSize.height / 2,
+      0,
+      0,
+      2 * Math.PI,
+    );
+    ctx.clip();
+  } else if (crop.points) {
+    // The points are in the crop's unit and relative to the image, like its bounding box.
+    ctx.beginPath();
+    crop.points.forEach((point) => {
+      ctx.lineTo(
+        (((point.x * scaleX) - sourceX) / sourceWidth) * outputSize.width,
+        (((point.y * scaleY) - sourceY) / sourceHeight) * outputSize.height,
+      );
+    });
+    ctx.closePath();
+    ctx.clip();
+  }
+
+  if (crop.angle) {
+    drawStraightenedImage(ctx, image, crop, {
+      x: sourceX,
+      y: sourceY,
+      width: sourceWidth,
+      height: sourceHeight,
+    }, outputSize);
+  } else {
+    ctx.drawImage(
+      image,
+      sourceX,
+      sourceY,
+      sourceWidth,
+      sourceHeight,
+      0,
+      0,
+      outputSize.width,
+      outputSize.height,
+    );
+  }
+}
+
+// Crops are of the image's own pixels, and the image's `rotate`/`flipX`/`flipY` turn the cropped
+// area the way it's shown on screen. It's cropped onto a canvas of its own first, which is then
+// turned (around its centre) onto the output.
+function drawTurnedCrop(ctx, image, crop, outputSize, circularCrop) {
+  const {
+    rotate = 0,
+    flipX,
+    flipY,
+    ...unturnedCrop
+  } = crop;
+  const size = getCropOutputSize(image, unturnedCrop);
+  const turnedSize = getRotatedSize(size.width, size.height, rotate);
+  const canvas = (image.ownerDocument || document).createElement('canvas');
+
+  canvas.width = size.width;
+  canvas.height = size.height;
+  drawUnturnedCrop(canvas.getContext('2d'), image, unturnedCrop, size, circularCrop);
+
+  ctx.imageSmoothingQuality = 'high';
+  ctx.scale(outputSize.width / turnedSize.width, outputSize.height / turnedSize.height);
+  ctx.translate(turnedSize.width / 2, turnedSize.height / 2);
+  ctx.rotate((rotate * Math.PI) / 180);
+  ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+  ctx.drawImage(canvas, -size.width / 2, -size.height / 2);
+}
+
+/**
+ * Draw a crop onto a 2D context which is `outputSize` big, the same as `getCroppedImage` but
+ * synchronously and onto a canvas of your own (e.g. for a live preview).
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} image
+ * @param {Object} crop
+ * @param {Object} outputSize - The `width` and `height` to draw at, see `getCropOutputSize`.
+ * @param {Boolean} [circularCrop] - Clip to the ellipse inscribed in the crop.
+ */
+function drawCroppedImage(ctx, image, crop, outputSize, circularCrop = false) {
+  if (crop.rotate || crop.flipX || crop.flipY) {
+    drawTurnedCrop(ctx, image, crop, outputSize, circularCrop);
+  } else {
+    drawUnturnedCrop(ctx, image, crop, outputSize, circularCrop);
+  }
+}
+
+/**
+ * Draw the cropped part of an image onto a canvas at the image's natural resolution.
+ *
+ * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} image - The (loaded) media the crop
+ *   was made on, as passed to onImageLoaded. A video is cropped at its current frame.
+ * @param {Object} crop - A pixel, percent or natural crop, as passed to onChange/onComplete. Any
+ *   `rotate`/`flipX`/`flipY` on the crop turn the cropped area the way it was on screen, and an
+ *   `angle` is straightened out. Polygon crops (with `points`) are clipped to the polygon, and
+ *   perspective crops (with `corners`) are warped to a rectangle.
+ * @param {Object} [options]
+ * @param {String} [options.output] - 'blob' (default), 'dataUrl' or 'canvas'.
+ * @param {String} [options.type] - Mime type of the encoded image, defaults to 'image/jpeg' (or
+ *   'image/png' for circular and polygon crops so the outside stays transparent).
+ * @param {Number} [options.quality] - Encoder quality between 0 and 1 for lossy types.
+ * @param {Number} [options.width] - Output width, height is scaled to match if omitted. Perspective
+ *   crops default to the length of their longest top/bottom and left/right edges.
+ * @param {Number} [options.height] - Output height, width is scaled to match if omitted.
+ * @param {Number} [options.maxDimension] - Cap the longest output side to this many pixels.
+ * @param {Boolean} [options.circularCrop] - Clip the output to the ellipse inscribed in the crop.
+ * @returns {Promise<Blob|String|HTMLCanvasElement>}
+ */
+function getCroppedImage(image, crop, options = {}) {
+  const {
+    output = 'blob',
+    circularCrop = false,
+    type = circularCrop || (crop && crop.points) ? 'image/png' : 'image/jpeg',
+    quality,
+  } = options;
+
+  if (!image || !crop || !crop.width || !crop.height) {
+    return Promise.reject(new Error('`getCroppedImage` needs a loaded image and a crop with a width and height'));
+  }
+
+  const outputSize = getCropOutputSize(image, crop, options);
+  const canvas = (image.ownerDocument || document).createElement('canvas');
+  canvas.width = outputSize.width;
+  canvas.height = outputSize.height;
+
+  drawCroppedImage(canvas.getContext('2d'), image, crop, outputSize, circularCrop);
+
+  return encodeCanvas(canvas, output, type, quality);
+}
+
+export { getCropOutputSize, drawCroppedImage };
+export default getCroppedImage;
@@ -0,0 +1,178 @@
+/* globals document */
+import { hasAspectLimits, makeAspectCrop, getMediaSize } from './cropUtils';
+
+const initialCropStrategies = ['center', 'fit', 'fill', 'smart'];
+
+// The size of the crop in percent of the largest one, unless it's given.
+const defaultSizes = {
+  center: 80,
+  fit: 100,
+  fill: 100,
+  smart: 80,
+};
+
+// The edge energy is measured on a copy of the media at most this many pixels across.
+const energySize = 64;
+
+// The largest crop (in pixels) with the crop's aspect, or the closest allowed aspect to the
+// image's. A free crop can have the whole image.
+function getLargestSize(crop, imageWidth, imageHeight) {
+  if (!crop.aspect && !hasAspectLimits(crop)) {
+    return { width: imageWidth, height: imageHeight };
+  }
+
+  const { width, height } = makeAspectCrop({
+    ...crop,
+    unit: 'px',
+    x: 0,
+    y: 0,
+    width: imageWidth,
+    height: imageHeight,
+  }, imageWidth, imageHeight);
+
+  return { width, height };
+}
+
+// Sums of the edge energy (how much the brightness changes between neighbouring pixels) of a
+// small copy of the media, from its top left. So the energy of any box is four lookups. Null
+// without a canvas (e.g. on a server) or when the media can't be read (e.g. from another origin).
+function getEnergyTable(media) {
+  if (typeof document === 'undefined') {
+    return null;
+  }
+
+  const { naturalWidth, naturalHeight } = getMediaSize(media);
+  const scale = Math.min(1, energySize / Math.max(naturalWidth, naturalHeight));
+  const cols = Math.max(1, Math.round(naturalWidth * scale));
+  const rows = Math.max(1, Math.round(naturalHeight * scale));
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext && canvas.getContext('2d');
+  let data;
+
+  if (!ctx) {
+    return null;
+  }
+
+  canvas.width = cols;
+  canvas.height = rows;
+
+  try {
+    ctx.drawImage(media, 0, 0, cols, rows);
+    ({ data } = ctx.getImageData(0, 0, cols, rows));
+  } catch (err) {
+    return null;
+  }
+
+  const luma = new Float64Array(cols * rows);
+
+  for (let i = 0; i < luma.length; i += 1) {
+    luma[i] = (0.299 * data[i * 4]) + (0.587 * data[(i * 4) + 1]) + (0.114 * data[(i * 4) + 2]);
+  }
+
+  // One more row and column of zeros at the top left.
+  const stride = cols + 1;
+  const table = new Float64Array(stride * (rows + 1));
+
+  for (let y = 0; y < rows; y += 1) {
+    for (let x = 0; x < cols; x += 1) {
+      const i = (y * cols) + x;
+      const dx = x < cols - 1 ? Math.abs(luma[i + 1] - luma[i]) : 0;
+      const dy = y < rows - 1 ? Math.abs(luma[i + cols] - luma[i]) : 0;
+
+      table[((y + 1) * stride) + x + 1] = dx + dy +
+        table[(y * stride) + x + 1] +
+        table[((y + 1) * stride) + x] -
+        table[(y * stride) + x];
+    }
+  }
+
+  return { table, cols, rows };
+}
+
+// The top left (in pixels) of the `width` by `height` box with the most edge energy. Ties (e.g. a
+// plain image) go to the box closest to the centre.
+function findBusiestBox(energy, width, height, imageWidth, imageHeight) {
+  const { table, cols, rows } = energy;
+  const stride = cols + 1;
+  const boxCols = Math.min(cols, Math.max(1, Math.round((width / imageWidth) * cols)));
+  const boxRows = Math.min(rows, Math.max(1, Math.round((height / imageHeight) * rows)));
+  let best = null;
+
+  for (let y = 0; y <= rows - boxRows; y += 1) {
+    for (let x = 0; x <= cols - boxCols; x += 1) {
+      const sum = table[((y + boxRows) * stride) + x + boxCols] -
+        table[(y * stride) + x + boxCols] -
+        table[((y + boxRows) * stride) + x] +
+        table[(y * stride) + x];
+      const distance = Math.abs((x * 2) + boxCols - cols) + Math.abs((y * 2) + boxRows - rows);
+
+      if (!best || sum > best.sum || (sum === best.sum && distance < best.distance)) {
+        best = {
+          sum,
+          distance,
+          x,
+          y,
+        };
+      }
+    }
+  }
+
+  return {
+    x: Math.min((best.x / cols) * imageWidth, imageWidth - width),
+    y: Math.min((best.y / rows) * imageHeight, imageHeight - height),
+  };
+}
+
+/**
+ * A crop to start with, when there isn't one yet:
+ *
+ * - `center` - a centred box, 80% of the largest one by default.
+ * - `fit` - the largest box with the crop's aspect (or the allowed aspect closest to the image's).
+ * - `fill` - the whole image. With an aspect that's the same as `fit`.
+ * - `smart` - like `center`, but where the image is busiest (has the most edges).
+ *
+ * @param {HTMLElement} media - The loaded image (or other media), only drawn by `smart`.
+ * @param {Object} crop - The crop so far, whose unit, aspect and aspect limits are kept.
+ * @param {string|Object} initialCrop - A strategy, or `{ strategy, size }` with `size` in percent
+ *   of the largest box.
+ * @param {Object} [limits] - `maxWidth` and `maxHeight`, in the unit of the crop.
+ * @returns {Object} The crop, unrotated.
+ */
+function makeInitialCrop(media, crop, initialCrop, limits = {}) {
+  const { strategy, size = defaultSizes[strategy] } = typeof initialCrop === 'string' ? { strategy: initialCrop } : initialCrop;
+  const { width: imageWidth, height: imageHeight } = getMediaSize(media);
+  const {
+    angle,
+    points,
+    corners,
+    ...templateCrop
+  } = crop;
+  const isPixels = templateCrop.unit !== '%';
+  const scaleX = isPixels ? 1 : imageWidth / 100;
+  const scaleY = isPixels ? 1 : imageHeight / 100;
+  const largest = getLargestSize(templateCrop, imageWidth, imageHeight);
+  const scale = Math.min(
+    size / 100,
+    limits.maxWidth ? (limits.maxWidth * scaleX) / largest.width : 1,
+    limits.maxHeight ? (limits.maxHeight * scaleY) / largest.height : 1,
+  );
+  const width = largest.width * scale;
+  const height = largest.height * scale;
+  const energy = strategy === 'smart' ? getEnergyTable(media) : null;
+  const position = energy ?
+    findBusiestBox(energy, width, height, imageWidth, imageHeight) :
+    { x: (imageWidth - width) / 2, y: (imageHeight - height) / 2 };
+
+  return {
+    ...templateCrop,
+    x: position.x / scaleX,
+    y: position.y / scaleY,
+    width: width / scaleX,
+    height: height / scaleY,
+  };
+}
+
+export {
+  initialCropStrategies,
+  makeInitialCrop,
+};
@@ -0,0 +1,129 @@
+// A 2D canvas can only draw affine transforms, so a perspective warp is drawn as a grid of
+// triangles, each of which is close enough to affine.
+const gridSize = 16;
+
+/**
+ * The projective transform (homography) which maps four points onto four others.
+ *
+ * @param {Object[]} from - Four `{ x, y }` points, no three of which are in a line.
+ * @param {Object[]} to - The four points they map to, in the same order.
+ * @returns {Number[]} The 3x3 matrix in row order, for `applyHomography`.
+ */
+function getHomography(from, to) {
+  // Each pair of points gives two equations for the eight unknowns (the last entry is 1).
+  const rows = [];
+
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: v } = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  });
+
+  // Gaussian elimination with partial pivoting.
+  for (let col = 0; col < 8; col += 1) {
+    let pivot = col;
+
+    for (let row = col + 1; row < 8; row += 1) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+        pivot = row;
+      }
+    }
+
+    if (!rows[pivot][col]) {
+      throw new Error('`getHomography` needs four points, no three of which are in a line');
+    }
+
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = 0; row < 8; row += 1) {
+      if (row !== col) {
+        const factor = rows[row][col] / rows[col][col];
+
+        for (let k = col; k < 9; k += 1) {
+          rows[row][k] -= factor * rows[col][k];
+        }
+      }
+    }
+  }
+
+  return [...rows.map((row, i) => row[8] / row[i]), 1];
+}
+
+function applyHomography(matrix, point) {
+  const w = (matrix[6] * point.x) + (matrix[7] * point.y) + matrix[8];
+
+  return {
+    x: ((matrix[0] * point.x) + (matrix[1] * point.y) + matrix[2]) / w,
+    y: ((matrix[3] * point.x) + (matrix[4] * point.y) + matrix[5]) / w,
+  };
+}
+
+// Draws the part of `source` inside the triangle `from` onto the triangle `to`.
+function drawTriangle(ctx, source, from, to) {
+  const [s0, s1, s2] = from;
+  const [d0, d1, d2] = to;
+  const ux = s1.x - s0.x;
+  const uy = s1.y - s0.y;
+  const vx = s2.x - s0.x;
+  const vy = s2.y - s0.y;
+  const det = (ux * vy) - (vx * uy);
+
+  if (!det) {
+    return;
+  }
+
+  const a = (((d1.x - d0.x) * vy) - ((d2.x - d0.x) * uy)) / det;
+  const b = (((d1.y - d0.y) * vy) - ((d2.y - d0.y) * uy)) / det;
+  const c = (((d2.x - d0.x) * ux) - ((d1.x - d0.x) * vx)) / det;
+  const d = (((d2.y - d0.y) * ux) - ((d1.y - d0.y) * vx)) / det;
+
+  // Grow the clip a little, or the anti-aliased edges of neighbouring triangles leave seams.
+  const centerX = (d0.x + d1.x + d2.x) / 3;
+  const centerY = (d0.y + d1.y + d2.y) / 3;
+
+  ctx.save();
+  ctx.beginPath();
+  to.forEach((point) => {
+    const length = Math.hypot(point.x - centerX, point.y - centerY) || 1;
+    ctx.lineTo(point.x + ((point.x - centerX) / length), point.y + ((point.y - centerY) / length));
+  });
+  ctx.closePath();
+  ctx.clip();
+  ctx.transform(a, b, c, d, d0.x - (a * s0.x) - (c * s0.y), d0.y - (b * s0.x) - (d * s0.y));
+  ctx.drawImage(source, 0, 0);
+  ctx.restore();
+}
+
+/**
+ * Warps a quadrilateral of `source` onto the `width` by `height` rectangle at the origin of `ctx`.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Drawn at its natural size.
+ * @param {Object[]} quad - The `nw`, `ne`, `se` and `sw` corners in pixels of `source`.
+ * @param {Number} width
+ * @param {Number} height
+ */
+function drawPerspective(ctx, source, quad, width, height) {
+  const matrix = getHomography([
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: height },
+    { x: 0, y: height },
+  ], quad);
+
+  for (let row = 0; row < gridSize; row += 1) {
+    for (let col = 0; col < gridSize; col += 1) {
+      const x0 = (col / gridSize) * width;
+      const x1 = ((col + 1) / gridSize) * width;
+      const y0 = (row / gridSize) * height;
+      const y1 = ((row + 1) / gridSize) * height;
+      const cell = [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }];
+      const sourceCell = cell.map(point => applyHomography(matrix, point));
+
+      drawTriangle(ctx, source, [sourceCell[0], sourceCell[1], sourceCell[2]], [cell[0], cell[1], cell[2]]);
+      drawTriangle(ctx, source, [sourceCell[0], sourceCell[2], sourceCell[3]], [cell[0], cell[2], cell[3]]);
+    }
+  }
+}
+
+export { getHomography, applyHomography, drawPerspective };
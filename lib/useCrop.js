@@ -0,0 +1,239 @@
+/* globals window */
+import { useState, useRef, useEffect } from 'react';
+import {
+  isCropValid,
+  convertToPercentCrop,
+  convertToPixelCrop,
+  convertLimits,
+  chainHandlers,
+} from './cropUtils';
+import {
+  createDragData,
+  createNewCrop,
+  createNewCropDragData,
+  moveCrop,
+} from './cropEngine';
+
+function noop() {}
+
+function getPointerPos(e) {
+  return {
+    x: e.clientX,
+    y: e.clientY,
+  };
+}
+
+function getMediaRect(media) {
+  const rect = media.getBoundingClientRect();
+
+  return {
+    width: rect.width,
+    height: rect.height,
+    left: rect.left,
+    top: rect.top,
+  };
+}
+
+// Sets a callback ref or a ref object.
+function setRef(ref, node) {
+  if (typeof ref === 'function') {
+    ref(node);
+  } else if (ref) {
+    ref.current = node; // eslint-disable-line no-param-reassign
+  }
+}
+
+function makeCompleteCrop(crop) {
+  return {
+    unit: 'px',
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+    ...crop,
+  };
+}
+
+/**
+ * The crop interaction without any markup, for building a custom cropper. The crop can be
+ * controlled (`crop` and `onChange`) or left to the hook (`defaultCrop`).
+ *
+ * @param {Object} [options] - `crop`, `defaultCrop`, `onChange`, `onComplete`, `onDragStart`,
+ *   `onDragEnd`, `minWidth`, `maxWidth`, `minHeight`, `maxHeight`, `disabled`, `locked` and
+ *   `keepSelection`, which behave like the component props of the same name.
+ * @returns {Object} `crop`, `isActive` and prop getters for the media, selection and drag handles.
+ */
+function useCrop(options = {}) {
+  const { crop: controlledCrop, defaultCrop } = options;
+  const [uncontrolledCrop, setUncontrolledCrop] = useState(defaultCrop);
+  const [isActive, setIsActive] = useState(false);
+  const mediaRef = useRef(null);
+  const dragRef = useRef(null);
+  const crop = controlledCrop !== undefined ? controlledCrop : uncontrolledCrop;
+
+  // Window listeners outlive the render they were added in, so read the latest values from here.
+  const latest = useRef();
+  latest.current = { crop, options };
+
+  function notify(callback, nextCrop) {
+    const { width, height } = getMediaRect(mediaRef.current);
+
+    (callback || noop)(
+      convertToPixelCrop(nextCrop, width, height),
+      convertToPercentCrop(nextCrop, width, height),
+    );
+  }
+
+  function changeCrop(nextCrop) {
+    if (latest.current.options.crop === undefined) {
+      setUncontrolledCrop(nextCrop);
+    }
+
+    notify(latest.current.options.onChange, nextCrop);
+  }
+
+  function startDrag(e, evData, nextCrop) {
+    e.preventDefault(); // Stop drag selection.
+
+    dragRef.current = { evData, started: false };
+    setIsActive(true);
+
+    if (nextCrop) {
+      changeCrop(nextCrop);
+    }
+  }
+
+  useEffect(() => {
+    if (!isActive) {
+      return undefined;
+    }
+
+    const onPointerMove = (e) => {
+      const drag = dragRef.current;
+
+      if (!drag || !mediaRef.current || !latest.current.crop) {
+        return;
+      }
+
+      e.preventDefault();
+
+      if (!drag.started) {
+        drag.started = true;
+        (latest.current.options.onDragStart || noop)(e);
+      }
+
+      const size = getMediaRect(mediaRef.current);
+      const currentCrop = makeCompleteCrop(latest.current.crop);
+
+      changeCrop(moveCrop(
+        currentCrop,
+        drag.evData,
+        getPointerPos(e),
+        size.width,
+        size.height,
+        // Limits are in rendered pixels, like the component's.
+        convertLimits(latest.current.options, currentCrop.unit, size.width, size.height),
+      ));
+    };
+
+    const onPointerUp = (e) => {
+      const drag = dragRef.current;
+
+      dragRef.current = null;
+      setIsActive(false);
+
+      if (drag && drag.started) {
+        (latest.current.options.onDragEnd || noop)(e);
+      }
+
+      if (latest.current.crop && mediaRef.current) {
+        notify(latest.current.options.onComplete, makeCompleteCrop(latest.current.crop));
+      }
+    };
+
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    window.addEventListener('pointercancel', onPointerUp);
+
+    return () => {
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('pointerup', onPointerUp);
+      window.removeEventListener('pointercancel', onPointerUp);
+    };
+  }, [isActive]);
+
+  function onMediaPointerDown(e) {
+    const { disabled, locked, keepSelection } = options;
+
+    if (disabled || locked || (keepSelection && isCropValid(crop))) {
+      return;
+    }
+
+    const size = getMediaRect(mediaRef.current);
+    const nextCrop = createNewCrop(
+      { x: e.clientX - size.left, y: e.clientY - size.top },
+      size.width,
+      size.height,
+      crop && crop.unit,
+      crop || {},
+    );
+
+    startDrag(e, createNewCropDragData(nextCrop, getPointerPos(e)), nextCrop);
+  }
+
+  function onSelectionPointerDown(e) {
+    const { disabled, locked } = options;
+
+    if (disabled || !crop) {
+      return;
+    }
+
+    const { ord } = e.target.dataset;
+
+    // A locked crop can be moved but not resized.
+    if (locked && ord) {
+      return;
+    }
+
+    e.stopPropagation(); // Don't start a new crop on the media.
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const cropOffset = { left: rect.left, top: rect.top };
+
+    startDrag(e, createDragData(makeCompleteCrop(crop), getPointerPos(e), ord, cropOffset));
+  }
+
+  return {
+    crop,
+    isActive,
+    getMediaProps: (props = {}) => ({
+      ...props,
+      ref: (node) => {
+        mediaRef.current = node;
+        setRef(props.ref, node);
+      },
+      onPointerDown: chainHandlers(props.onPointerDown, onMediaPointerDown),
+    }),
+    getSelectionProps: (props = {}) => ({
+      ...props,
+      onPointerDown: chainHandlers(props.onPointerDown, onSelectionPointerDown),
+      style: {
+        ...props.style,
+        ...(crop ? {
+          position: 'absolute',
+          top: `${crop.y}${crop.unit || 'px'}`,
+          left: `${crop.x}${crop.unit || 'px'}`,
+          width: `${crop.width}${crop.unit || 'px'}`,
+          height: `${crop.height}${crop.unit || 'px'}`,
+        } : { display: 'none' }),
+        touchAction: 'none',
+      },
+    }),
+    getHandleProps: (ord, props = {}) => ({
+      ...props,
+      'data-ord': ord,
+    }),
+  };
+}
+
+export default useCrop;
@@ -0,0 +1,99 @@
+/* eslint-env jest */
+/* globals document HTMLCanvasElement */
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act, Simulate } from 'react-dom/test-utils';
+import CropPreview from '../lib/CropPreview';
+import { setMediaSize } from './helpers';
+
+const pixelCrop = {
+  unit: 'px',
+  x: 100,
+  y: 50,
+  width: 200,
+  height: 100,
+};
+
+let container;
+
+function renderPreview(props) {
+  act(() => {
+    ReactDOM.render(<CropPreview {...props} />, container);
+  });
+}
+
+beforeEach(() => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  container.remove();
+});
+
+describe('CropPreview with a src', () => {
+  function loadImage() {
+    const image = container.querySelector('img');
+
+    // The preview's <img> has its own rendered size, which says nothing about the crop.
+    setMediaSize(image, 1600, 800, 800, 400);
+    act(() => {
+      Simulate.load(image);
+    });
+
+    return image;
+  }
+
+  it('converts pixel crops with the size of the editor\'s image', () => {
+    renderPreview({
+      src: 'image.jpg',
+      crop: pixelCrop,
+      imageWidth: 400,
+      imageHeight: 200,
+    });
+    const image = loadImage();
+
+    expect(image.style.width).toBe('200%');
+    expect(image.style.transform).toBe('translate(-25%, -25%)');
+    expect(container.firstChild.style.width).toBe('400px');
+  });
+
+  it('hides pixel crops without the size of the editor\'s image', () => {
+    renderPreview({ src: 'image.jpg', crop: pixelCrop });
+
+    expect(loadImage().style.visibility).toBe('hidden');
+  });
+});
+
+describe('CropPreview with an image', () => {
+  let getContext;
+
+  beforeEach(() => {
+    ({ getContext } = HTMLCanvasElement.prototype);
+  });
+
+  afterEach(() => {
+    HTMLCanvasElement.prototype.getContext = getContext;
+  });
+
+  it('clips a circular crop', () => {
+    const ctx = {
+      setTransform: () => {},
+      clearRect: () => {},
+      save: () => {},
+      restore: () => {},
+      beginPath: () => {},
+      ellipse: jest.fn(),
+      clip: () => {},
+      drawImage: () => {},
+    };
+    const image = document.createElement('img');
+
+    HTMLCanvasElement.prototype.getContext = () => ctx;
+    setMediaSize(image, 400, 200);
+    renderPreview({ image, crop: pixelCrop, circularCrop: true });
+
+    expect(ctx.ellipse).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,628 @@
+/* eslint-env jest */
+import React from 'react';
+import ReactCrop from '../lib/ReactCrop';
+import { forAllSeeds, renderCrop } from './helpers';
+
+const startCrop = {
+  unit: 'px',
+  x: 100,
+  y: 50,
+  width: 100,
+  height: 100,
+};
+
+let cropper;
+
+afterEach(() => {
+  if (cropper) {
+    cropper.unmount();
+    cropper = null;
+  }
+});
+
+describe('loading', () => {
+  it('calls onImageLoaded and completes the initial crop', () => {
+    const onImageLoaded = jest.fn();
+    cropper = renderCrop({ crop: { unit: '%', aspect: 1, width: 50 }, onImageLoaded });
+
+    expect(onImageLoaded).toHaveBeenCalledWith(cropper.image);
+    // A square of half the image's width, in percent of its height too.
+    expect(cropper.getCrop()).toMatchObject({
+      unit: '%',
+      x: 0,
+      y: 0,
+      width: 50,
+      height: 100,
+    });
+    expect(cropper.onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts with the initialCrop when there is no crop', () => {
+    cropper = renderCrop({ crop: { unit: '%', aspect: 1 }, initialCrop: 'fit' });
+
+    expect(cropper.getCrop()).toMatchObject({
+      unit: '%',
+      x: 25,
+      y: 0,
+      width: 50,
+      height: 100,
+    });
+    expect(cropper.onComplete).toHaveBeenCalledTimes(1);
+
+    cropper.unmount();
+    cropper = renderCrop({ crop: startCrop, initialCrop: 'fit' });
+    expect(cropper.getCrop()).toMatchObject(startCrop);
+  });
+
+  it('renders the selection and its handles', () => {
+    cropper = renderCrop({ crop: startCrop });
+
+    const selection = cropper.getHandle();
+    expect(selection.style).toMatchObject({
+      top: '50px',
+      left: '100px',
+      width: '100px',
+      height: '100px',
+    });
+    ReactCrop.handleOrds.forEach(ord => expect(cropper.getHandle(ord)).not.toBeNull());
+  });
+});
+
+describe('mouse', () => {
+  it('draws a new crop', () => {
+    cropper = renderCrop();
+    cropper.drag(cropper.image, [50, 20], [[100, 60], [150, 120]]);
+
+    expect(cropper.getCrop()).toMatchObject({
+      x: 50,
+      y: 20,
+      width: 100,
+      height: 100,
+    });
+    expect(cropper.onComplete).toHaveBeenLastCalledWith(
+      expect.objectContaining({ x: 50, width: 100 }),
+      expect.objectContaining({ x: 12.5, width: 25 }),
+    );
+  });
+
+  it('moves the crop', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.drag(cropper.getHandle(), [150, 100], [[180, 80]]);
+
+    expect(cropper.getCrop()).toMatchObject({ x: 130, y: 30 });
+  });
+
+  it('keeps the other fields of a natural crop', () => {
+    const crop = {
+      unit: 'natural',
+      x: 200,
+      y: 100,
+      width: 200,
+      height: 200,
+      aspectPresets: [1, 2],
+      locked: true,
+    };
+    cropper = renderCrop({ crop }, { naturalWidth: 800, naturalHeight: 400 });
+    cropper.drag(cropper.getHandle(), [150, 100], [[180, 80]]);
+
+    expect(cropper.getCrop()).toEqual({
+      ...crop,
+      x: 260,
+      y: 60,
+    });
+  });
+
+  it('keeps the aspect limits in the percent crop', () => {
+    cropper = renderCrop({
+      crop: {
+        ...startCrop,
+        aspectPresets: [1, 2],
+        minAspect: 1,
+        maxAspect: 2,
+      },
+    });
+    cropper.drag(cropper.getHandle(), [150, 100], [[120, 60]]);
+
+    const [, percentCrop] = cropper.onChange.mock.calls[cropper.onChange.mock.calls.length - 1];
+    expect(percentCrop).toMatchObject({
+      unit: '%',
+      x: 17.5,
+      aspectPresets: [1, 2],
+      minAspect: 1,
+      maxAspect: 2,
+    });
+  });
+
+  it('resizes from a handle and flips over the opposite corner', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.drag(cropper.getHandle('se'), [200, 150], [[250, 180]]);
+
+    expect(cropper.getCrop()).toMatchObject({ width: 150, height: 130 });
+
+    cropper.drag(cropper.getHandle('se'), [250, 180], [[60, 20]]);
+    expect(cropper.getCrop()).toMatchObject({
+      x: 60,
+      y: 20,
+      width: 40,
+      height: 30,
+    });
+  });
+
+  it('calls onDragStart and onDragEnd once per drag', () => {
+    const onDragStart = jest.fn();
+    const onDragEnd = jest.fn();
+    cropper = renderCrop({ crop: startCrop, onDragStart, onDragEnd });
+    cropper.drag(cropper.getHandle(), [150, 100], [[160, 100], [170, 100]]);
+
+    expect(onDragStart).toHaveBeenCalledTimes(1);
+    expect(onDragEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores pointers when disabled', () => {
+    cropper = renderCrop({ crop: startCrop, disabled: true });
+    // There are no handles to drag.
+    expect(cropper.getHandle('se')).toBeNull();
+
+    cropper.drag(cropper.getHandle(), [150, 100], [[250, 180]]);
+    cropper.drag(cropper.image, [10, 10], [[50, 50]]);
+
+    expect(cropper.onChange).toHaveBeenCalledTimes(1); // Only the initial crop.
+    expect(cropper.getCrop()).toMatchObject(startCrop);
+  });
+});
+
+describe('touch and pen', () => {
+  it('resizes with a touch or a pen like a mouse', () => {
+    ['touch', 'pen'].forEach((pointerType) => {
+      cropper = renderCrop({ crop: startCrop });
+      cropper.drag(cropper.getHandle('e'), [200, 100], [[240, 120]], { pointerType });
+
+      expect(cropper.getCrop()).toMatchObject({ width: 140, height: 100 });
+      cropper.unmount();
+    });
+    cropper = null;
+  });
+
+  it('scales the selection with a second finger', () => {
+    cropper = renderCrop({ crop: startCrop });
+    const selection = cropper.getHandle();
+
+    cropper.pointerDown(selection, 130, 100, { pointerId: 1, pointerType: 'touch' });
+    cropper.pointerDown(selection, 170, 100, { pointerId: 2, pointerType: 'touch' });
+    // Twice as far apart.
+    cropper.pointerMove(110, 100, { pointerId: 1, pointerType: 'touch' });
+    cropper.pointerMove(190, 100, { pointerId: 2, pointerType: 'touch' });
+    cropper.pointerUp(110, 100, { pointerId: 1, pointerType: 'touch' });
+    cropper.pointerUp(190, 100, { pointerId: 2, pointerType: 'touch' });
+
+    const crop = cropper.getCrop();
+    expect(crop.width).toBeGreaterThan(startCrop.width);
+    expect(crop.x + (crop.width / 2)).toBeCloseTo(150);
+  });
+
+  it('captures the pointer on press', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.component.setPointerCapture = jest.fn();
+    cropper.component.hasPointerCapture = () => false;
+    cropper.pointerDown(cropper.getHandle('e'), 200, 100, { pointerType: 'touch' });
+
+    expect(cropper.component.setPointerCapture).toHaveBeenCalledWith(1);
+  });
+
+  it('ends the drag when the browser cancels the pointer', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.pointerDown(cropper.getHandle('e'), 200, 100, { pointerType: 'touch' });
+    cropper.pointerMove(240, 100, { pointerType: 'touch' });
+    cropper.pointerCancel(240, 100, { pointerType: 'touch' });
+    cropper.pointerMove(280, 100, { pointerType: 'touch' });
+
+    expect(cropper.onComplete).toHaveBeenLastCalledWith(expect.objectContaining({ width: 140 }), expect.anything());
+    expect(cropper.getCrop()).toMatchObject({ width: 140 });
+  });
+});
+
+describe('many crops', () => {
+  const naturalCrop = {
+    unit: 'natural',
+    x: 200,
+    y: 100,
+    width: 200,
+    height: 200,
+    locked: true,
+    minWidth: 50,
+  };
+
+  it('keeps the fields of each crop', () => {
+    cropper = renderCrop({ crops: [naturalCrop, { ...startCrop, x: 250, aspect: 1 }] }, { naturalWidth: 800, naturalHeight: 400 });
+    cropper.drag(cropper.getSelections()[0], [150, 100], [[170, 80]]);
+
+    const [pixelCrops, percentCrops, index] = cropper.onChange.mock.calls[cropper.onChange.mock.calls.length - 1];
+    expect(index).toBe(0);
+    expect(pixelCrops[0]).toEqual({ ...naturalCrop, x: 240, y: 60 });
+    expect(percentCrops[0]).toMatchObject({
+      unit: '%',
+      x: 30,
+      locked: true,
+      minWidth: 50,
+    });
+    expect(percentCrops[1]).toMatchObject({ unit: '%', aspect: 1 });
+  });
+
+  it('adds a crop drawn on the image, and removes the selected one with Delete', () => {
+    cropper = renderCrop({ crops: [startCrop] });
+    cropper.drag(cropper.image, [250, 20], [[300, 60], [350, 120]]);
+
+    expect(cropper.getCrops()).toEqual([
+      startCrop,
+      expect.objectContaining({
+        x: 250,
+        y: 20,
+        width: 100,
+        height: 100,
+      }),
+    ]);
+    expect(cropper.getSelections()).toHaveLength(2);
+
+    cropper.keyDown(cropper.component, ReactCrop.deleteKeys[1]);
+    expect(cropper.getCrops()).toEqual([startCrop]);
+    expect(cropper.getSelections()).toHaveLength(1);
+  });
+
+  it('doesn\'t remove a locked crop', () => {
+    cropper = renderCrop({ crops: [{ ...startCrop, locked: true }] });
+    cropper.drag(cropper.getSelections()[0], [150, 100], []);
+    cropper.keyDown(cropper.component, ReactCrop.deleteKeys[0]);
+
+    expect(cropper.getSelections()).toHaveLength(1);
+  });
+});
+
+describe('snapping', () => {
+  it('snaps to the image edges within the threshold and shows a guide', () => {
+    cropper = renderCrop({ crop: startCrop, snapToEdges: true });
+    cropper.pointerDown(cropper.getHandle(), 150, 100);
+    cropper.pointerMove(56, 100);
+
+    expect(cropper.getCrop()).toMatchObject({ x: 0, y: 50 });
+    expect(cropper.container.querySelectorAll('.ReactCrop__snap-guide--x')).toHaveLength(1);
+
+    cropper.pointerMove(70, 100);
+    expect(cropper.getCrop()).toMatchObject({ x: 20 });
+    expect(cropper.container.querySelector('.ReactCrop__snap-guide')).toBeNull();
+
+    cropper.pointerUp(70, 100);
+  });
+
+  it('snaps a resized edge, and hides the guides when the drag ends', () => {
+    cropper = renderCrop({ crop: startCrop, snapToEdges: true });
+    cropper.pointerDown(cropper.getHandle('e'), 200, 100);
+    cropper.pointerMove(394, 100);
+
+    expect(cropper.getCrop()).toMatchObject({ x: 100, width: 300 });
+
+    cropper.pointerUp(394, 100);
+    expect(cropper.container.querySelector('.ReactCrop__snap-guide')).toBeNull();
+  });
+
+  it('doesn\'t snap without the prop', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.drag(cropper.getHandle(), [150, 100], [[56, 100]]);
+
+    expect(cropper.getCrop()).toMatchObject({ x: 6 });
+  });
+});
+
+describe('keyboard', () => {
+  it('nudges the crop with the arrow keys', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.keyDown(cropper.component, ReactCrop.arrowKey.right);
+    cropper.keyDown(cropper.component, ReactCrop.arrowKey.down, { shiftKey: true });
+
+    expect(cropper.getCrop()).toMatchObject({
+      x: startCrop.x + ReactCrop.nudgeStep,
+      y: startCrop.y + ReactCrop.nudgeStepMedium,
+    });
+  });
+
+  it('announces the crop when it is complete', () => {
+    cropper = renderCrop({ crop: startCrop });
+    const liveRegion = cropper.container.querySelector('[aria-live]');
+
+    cropper.pointerDown(cropper.getHandle(), 150, 100);
+    cropper.pointerMove(180, 100);
+    expect(liveRegion.textContent).toBe('Crop 100 by 100 pixels, at 100, 50');
+
+    cropper.pointerUp(180, 100);
+    expect(liveRegion.textContent).toBe('Crop 100 by 100 pixels, at 130, 50');
+
+    cropper.keyDown(cropper.component, ReactCrop.arrowKey.down, { ctrlKey: true });
+    expect(liveRegion.textContent).toBe('Crop 100 by 100 pixels, at 130, 60');
+  });
+
+  it('only announces complete crops when onChange is also onComplete', () => {
+    cropper = renderCrop({ crop: startCrop }, {}, { sameCallback: true });
+    const liveRegion = cropper.container.querySelector('[aria-live]');
+
+    cropper.pointerDown(cropper.getHandle(), 150, 100);
+    cropper.pointerMove(180, 100);
+    expect(cropper.getCrop()).toMatchObject({ x: 130 });
+    expect(liveRegion.textContent).toBe('Crop 100 by 100 pixels, at 100, 50');
+
+    cropper.pointerUp(180, 100);
+    expect(liveRegion.textContent).toBe('Crop 100 by 100 pixels, at 130, 50');
+  });
+
+  it('resizes from a focused handle', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.keyDown(cropper.getHandle('e'), ReactCrop.arrowKey.right, { ctrlKey: true });
+
+    expect(cropper.getCrop()).toMatchObject({ x: 100, width: startCrop.width + ReactCrop.nudgeStepLarge });
+  });
+
+  it('undoes and redoes', () => {
+    cropper = renderCrop({ crop: startCrop, enableHistory: true });
+    cropper.drag(cropper.getHandle(), [150, 100], [[180, 100]]);
+    cropper.keyDown(cropper.component, ReactCrop.undoKey, { ctrlKey: true });
+
+    expect(cropper.getCrop()).toMatchObject({ x: 100 });
+
+    cropper.keyDown(cropper.component, ReactCrop.undoKey, { ctrlKey: true, shiftKey: true });
+    expect(cropper.getCrop()).toMatchObject({ x: 130 });
+  });
+
+  it('only adds changes to the history, and reports when it can undo or redo', () => {
+    const onHistoryChange = jest.fn();
+    cropper = renderCrop({ crop: startCrop, enableHistory: true, onHistoryChange });
+    // A click, and a key that doesn't move anything.
+    cropper.drag(cropper.getHandle(), [150, 100], []);
+    cropper.keyDown(cropper.component, 16);
+
+    expect(cropper.cropRef.current.canUndo()).toBe(false);
+
+    cropper.drag(cropper.getHandle(), [150, 100], [[180, 100]]);
+    expect(onHistoryChange).toHaveBeenLastCalledWith({ canUndo: true, canRedo: false });
+
+    cropper.keyDown(cropper.component, ReactCrop.undoKey, { ctrlKey: true });
+    expect(onHistoryChange).toHaveBeenLastCalledWith({ canUndo: false, canRedo: true });
+    expect(cropper.getCrop()).toMatchObject({ x: 100 });
+  });
+});
+
+describe('rotated and flipped image', () => {
+  it('draws crops on the image pixels under the pointer', () => {
+    // Turned a quarter, the 400 by 200 image is 200 wide and 400 high on screen, centred.
+    cropper = renderCrop({ rotate: 90 });
+    cropper.drag(cropper.component, [150, 20], [[250, 120]]);
+
+    expect(cropper.getCrop()).toMatchObject({
+      x: 120,
+      y: 50,
+      width: 100,
+      height: 100,
+      rotate: 90,
+    });
+    expect(cropper.container.querySelector('.ReactCrop__crop-layer').style.transform).toBe('rotate(90deg) scale(1, 1)');
+  });
+
+  it('moves crops the way the pointer and the arrow keys go on screen', () => {
+    cropper = renderCrop({ crop: startCrop, flipX: true });
+    cropper.drag(cropper.getHandle(), [250, 100], [[280, 120]]);
+
+    expect(cropper.getCrop()).toMatchObject({ x: 70, y: 70 });
+
+    cropper.unmount();
+    cropper = renderCrop({ crop: startCrop, rotate: 90 });
+    cropper.keyDown(cropper.component, ReactCrop.arrowKey.right);
+
+    expect(cropper.getCrop()).toMatchObject({ x: startCrop.x, y: startCrop.y - ReactCrop.nudgeStep });
+  });
+
+  it('reports the current transform, not the one the crop had', () => {
+    cropper = renderCrop({ crop: { ...startCrop, rotate: 90, flipX: true }, rotate: 180 });
+    cropper.drag(cropper.getHandle(), [150, 100], [[140, 110]]);
+
+    expect(cropper.onComplete).toHaveBeenLastCalledWith(
+      expect.objectContaining({ rotate: 180, flipX: false }),
+      expect.objectContaining({ rotate: 180, flipX: false }),
+    );
+
+    cropper.unmount();
+    cropper = renderCrop({ crop: { ...startCrop, rotate: 90, flipX: true } });
+    cropper.drag(cropper.getHandle(), [150, 100], [[140, 110]]);
+
+    const [pixelCrop, percentCrop] = cropper.onComplete.mock.calls[cropper.onComplete.mock.calls.length - 1];
+    [pixelCrop, percentCrop].forEach((crop) => {
+      expect(crop).not.toHaveProperty('rotate');
+      expect(crop).not.toHaveProperty('flipX');
+    });
+  });
+});
+
+describe('uncontrolled', () => {
+  it('starts from defaultCrop and keeps the changes itself', () => {
+    cropper = renderCrop({ defaultCrop: startCrop }, {}, { controlled: false });
+    cropper.drag(cropper.getHandle(), [150, 100], [[180, 80]]);
+
+    expect(cropper.getCrop()).toMatchObject({ x: 130, y: 30 });
+    expect(cropper.getHandle().style).toMatchObject({ left: '130px', top: '30px' });
+  });
+
+  it('keeps the unit of the defaultCrop', () => {
+    cropper = renderCrop({
+      defaultCrop: {
+        unit: 'natural',
+        x: 400,
+        y: 200,
+        width: 400,
+        height: 400,
+      },
+    }, { naturalWidth: 1600, naturalHeight: 800 }, { controlled: false });
+    cropper.keyDown(cropper.component, ReactCrop.arrowKey.right);
+
+    expect(cropper.getCrop()).toMatchObject({
+      unit: 'natural',
+      x: 400 + (ReactCrop.nudgeStep * 4),
+      width: 400,
+    });
+  });
+
+  it('sets and resets the crop from a ref', () => {
+    cropper = renderCrop({ defaultCrop: startCrop, enableHistory: true }, {}, { controlled: false });
+    cropper.act(() => cropper.cropRef.current.setCrop({
+      unit: '%',
+      x: 50,
+      width: 25,
+      height: 50,
+    }));
+
+    expect(cropper.getCrop()).toMatchObject({ unit: '%', x: 50, width: 25 });
+    expect(cropper.onComplete).toHaveBeenLastCalledWith(
+      expect.objectContaining({ x: 200, width: 100, height: 100 }),
+      expect.objectContaining({ x: 50 }),
+    );
+
+    cropper.keyDown(cropper.component, ReactCrop.undoKey, { ctrlKey: true });
+    expect(cropper.getCrop()).toMatchObject({ x: 100 });
+
+    cropper.act(() => cropper.cropRef.current.setCrop({ ...startCrop, x: 0 }));
+    cropper.act(() => cropper.cropRef.current.reset());
+    expect(cropper.getCrop()).toMatchObject(startCrop);
+  });
+
+  it('uses a crop set in onImageLoaded', () => {
+    const ref = React.createRef();
+    cropper = renderCrop({
+      ref,
+      onImageLoaded: () => ref.current.setCrop({ ...startCrop, x: 10 }),
+    }, {}, { controlled: false });
+
+    expect(cropper.getCrop()).toMatchObject({ x: 10 });
+    expect(cropper.onComplete).toHaveBeenLastCalledWith(expect.objectContaining({ x: 10 }), expect.anything());
+  });
+});
+
+describe('setCrop', () => {
+  it('changes a controlled crop through onChange', () => {
+    cropper = renderCrop({ crop: startCrop });
+    cropper.act(() => cropper.cropRef.current.setCrop({ ...startCrop, y: 0 }));
+
+    expect(cropper.getCrop()).toMatchObject({ y: 0 });
+  });
+});
+
+describe('forms', () => {
+  const getValues = container => Array.from(container.querySelectorAll('input[type="hidden"]'))
+    .reduce((values, input) => ({ ...values, [input.name]: input.value }), {});
+
+  it('submits the crop in natural pixels and percent', () => {
+    cropper = renderCrop({ crop: startCrop, name: 'crop', form: 'upload' }, { naturalWidth: 800, naturalHeight: 400 });
+
+    expect(getValues(cropper.container)).toMatchObject({
+      'crop[natural][x]': '200',
+      'crop[natural][width]': '200',
+      'crop[percent][x]': '25',
+      'crop[percent][height]': '50',
+    });
+    expect(cropper.container.querySelector('input[name="crop[natural][y]"]').getAttribute('form')).toBe('upload');
+
+    cropper.drag(cropper.getHandle(), [150, 100], [[170, 100]]);
+    expect(getValues(cropper.container)['crop[natural][x]']).toBe('240');
+  });
+
+  it('submits the crop as JSON', () => {
+    cropper = renderCrop({ crop: startCrop, name: 'crop', inputFormat: 'json' });
+    const { natural, percent } = JSON.parse(getValues(cropper.container).crop);
+
+    expect(natural).toMatchObject({ unit: 'natural', x: 100, width: 100 });
+    expect(percent).toMatchObject({ unit: '%', x: 25, width: 25 });
+  });
+
+  it('is invalid without a crop when required, or when too small', () => {
+    const onInvalid = jest.fn();
+    cropper = renderCrop({
+      name: 'crop',
+      required: true,
+      minWidth: 50,
+      onInvalid,
+    });
+    const validity = cropper.container.querySelector('.ReactCrop__validity');
+
+    expect(getValues(cropper.container)['crop[natural][x]']).toBe('');
+    expect(validity.checkValidity()).toBe(false);
+    expect(onInvalid).toHaveBeenCalledWith('Select an area of the image.', expect.anything());
+
+    // Resizing keeps to the min size, a crop from elsewhere might not.
+    cropper.act(() => cropper.cropRef.current.setCrop({ ...startCrop, width: 30 }));
+    expect(validity.validationMessage).toBe('Select an area at least 50 pixels wide.');
+
+    cropper.drag(cropper.getHandle('e'), [130, 100], [[180, 100]]);
+    expect(validity.checkValidity()).toBe(true);
+  });
+
+  it('only names the min limits that are set', () => {
+    [
+      [{ minHeight: 50 }, 'Select an area at least 50 pixels tall.'],
+      [{ minWidth: 50, minHeight: 50 }, 'Select an area of at least 50 by 50 pixels.'],
+    ].forEach(([limits, message]) => {
+      cropper = renderCrop({ crop: startCrop, name: 'crop', ...limits });
+      cropper.act(() => cropper.cropRef.current.setCrop({ ...startCrop, width: 30, height: 30 }));
+
+      expect(cropper.container.querySelector('.ReactCrop__validity').validationMessage).toBe(message);
+      cropper.unmount();
+    });
+    cropper = null;
+  });
+});
+
+describe('random interactions', () => {
+  it('keep the crop inside the image and keep its aspect', () => {
+    forAllSeeds(40, (random) => {
+      const aspect = random.pick([undefined, 1, 2]);
+      const unit = random.pick(['px', '%']);
+      const height = aspect ? 100 / aspect : 100;
+      const crop = unit === 'px' ?
+        { ...startCrop, aspect, height } :
+        {
+          unit,
+          aspect,
+          x: 25,
+          y: 25,
+          width: 25,
+          height: height / 2,
+        };
+      cropper = renderCrop({ crop });
+
+      for (let i = 0; i < 5; i += 1) {
+        const ord = random.pick([undefined, ...ReactCrop.handleOrds]);
+        const [currentCrop] = cropper.onChange.mock.calls[cropper.onChange.mock.calls.length - 1];
+        const from = [currentCrop.x + (currentCrop.width / 2), currentCrop.y + (currentCrop.height / 2)];
+        const target = cropper.getHandle(ord);
+        const points = [[random.between(-100, 500), random.between(-100, 300)], [random.between(-100, 500), random.between(-100, 300)]];
+
+        if (target) {
+          cropper.drag(target, from, points);
+        } else {
+          cropper.keyDown(cropper.component, random.pick(Object.keys(ReactCrop.arrowKey).map(key => ReactCrop.arrowKey[key])), {
+            ctrlKey: random() < 0.5,
+          });
+        }
+      }
+
+      const [pixelCrop, percentCrop] = cropper.onChange.mock.calls[cropper.onChange.mock.calls.length - 1];
+      const checkedCrop = unit === 'px' ? pixelCrop : percentCrop;
+      const max = unit === 'px' ? { width: 400, height: 200 } : { width: 100, height: 100 };
+
+      expect(checkedCrop.x).toBeGreaterThanOrEqual(-1e-9);
+      expect(checkedCrop.y).toBeGreaterThanOrEqual(-1e-9);
+      expect(checkedCrop.x + checkedCrop.width).toBeLessThanOrEqual(max.width + 1e-9);
+      expect(checkedCrop.y + checkedCrop.height).toBeLessThanOrEqual(max.height + 1e-9);
+
+      if (aspect && pixelCrop.height) {
+        expect(pixelCrop.width / pixelCrop.height).toBeCloseTo(aspect);
+      }
+
+      cropper.unmount();
+    });
+    cropper = null;
+  });
+});
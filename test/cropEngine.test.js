@@ -0,0 +1,378 @@
+/* eslint-env jest */
+import {
+  xyOrds,
+  createDragData,
+  createNewCrop,
+  createNewCropDragData,
+  moveCrop,
+  snapCrop,
+  scaleCrop,
+  keyboardResizeCrop,
+  straightenYPath,
+} from '../lib/cropEngine';
+import { isCropContained } from '../lib/cropUtils';
+import { forAllSeeds } from './helpers';
+
+const imageWidth = 400;
+const imageHeight = 200;
+const noLimits = {
+  minWidth: 0,
+  minHeight: 0,
+  maxWidth: 0,
+  maxHeight: 0,
+};
+const handleOrds = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+// How far along the crop the handles on each side are, edge handles are half way along the other.
+const handleFractions = {
+  n: 0,
+  w: 0,
+  s: 1,
+  e: 1,
+};
+
+// Where a handle of an unrotated crop is on the page, when the image is at the origin.
+function getHandlePosition(crop, ord) {
+  const scaleX = crop.unit === 'px' ? 1 : imageWidth / 100;
+  const scaleY = crop.unit === 'px' ? 1 : imageHeight / 100;
+  const [xOrd] = ord.match(/[we]/) || [];
+  const [yOrd] = ord.match(/[ns]/) || [];
+  const xFraction = xOrd ? handleFractions[xOrd] : 0.5;
+  const yFraction = yOrd ? handleFractions[yOrd] : 0.5;
+
+  return {
+    x: (crop.x + (crop.width * xFraction)) * scaleX,
+    y: (crop.y + (crop.height * yFraction)) * scaleY,
+  };
+}
+
+// Drags a handle (or the crop without an `ord`) through `points`, like the component does.
+function drag(crop, ord, points, options = {}) {
+  const { limits = noLimits, fromCenter = false } = options;
+  const start = ord ? getHandlePosition(crop, ord) : { x: points[0][0], y: points[0][1] };
+  // Straightening the path of fixed aspect crops needs where the crop is on the page.
+  const cropOffset = { left: crop.x, top: crop.y };
+  const evData = createDragData(crop, start, ord, cropOffset);
+
+  evData.fromCenter = fromCenter;
+
+  return points.reduce((current, [x, y]) => moveCrop(current, evData, { x, y }, imageWidth, imageHeight, limits), crop);
+}
+
+function expectContained(crop) {
+  const maxWidth = crop.unit === 'px' ? imageWidth : 100;
+  const maxHeight = crop.unit === 'px' ? imageHeight : 100;
+
+  expect(crop.x).toBeGreaterThanOrEqual(-1e-9);
+  expect(crop.y).toBeGreaterThanOrEqual(-1e-9);
+  expect(crop.x + crop.width).toBeLessThanOrEqual(maxWidth + 1e-9);
+  expect(crop.y + crop.height).toBeLessThanOrEqual(maxHeight + 1e-9);
+}
+
+const startCrop = {
+  unit: 'px',
+  x: 100,
+  y: 50,
+  width: 100,
+  height: 100,
+};
+
+describe('moveCrop', () => {
+  it('moves a crop, keeping it inside the image', () => {
+    expect(drag(startCrop, undefined, [[150, 100], [170, 90]])).toMatchObject({ x: 120, y: 40 });
+    expect(drag(startCrop, undefined, [[150, 100], [-500, 900]])).toMatchObject({ x: 0, y: 100 });
+  });
+
+  it('resizes from a corner, keeping the opposite one', () => {
+    expect(drag(startCrop, 'se', [[220, 170]])).toMatchObject({
+      x: 100,
+      y: 50,
+      width: 120,
+      height: 120,
+    });
+    expect(drag(startCrop, 'nw', [[80, 40]])).toMatchObject({
+      x: 80,
+      y: 40,
+      width: 120,
+      height: 110,
+    });
+  });
+
+  it('only resizes the side of an edge handle', () => {
+    expect(drag(startCrop, 'e', [[250, 170]])).toMatchObject({
+      x: 100,
+      y: 50,
+      width: 150,
+      height: 100,
+    });
+  });
+
+  it('resizes % crops in percent of the image', () => {
+    const crop = {
+      unit: '%',
+      x: 25,
+      y: 25,
+      width: 25,
+      height: 50,
+    };
+
+    expect(drag(crop, 'se', [[300, 150]])).toMatchObject({ width: 50, height: 50 });
+  });
+
+  it('keeps to the size limits', () => {
+    const limits = {
+      ...noLimits,
+      minWidth: 50,
+      maxHeight: 120,
+    };
+
+    expect(drag(startCrop, 'se', [[110, 300]], { limits })).toMatchObject({ width: 50, height: 120 });
+  });
+
+  it('resizes from the centre', () => {
+    expect(drag(startCrop, 'se', [[220, 160]], { fromCenter: true })).toMatchObject({
+      x: 80,
+      y: 40,
+      width: 140,
+      height: 120,
+    });
+  });
+
+  it('starts a new crop at the press point, inside the image', () => {
+    expect(createNewCrop({ x: 500, y: 50 }, imageWidth, imageHeight, '%', { aspect: 2 })).toMatchObject({
+      unit: '%',
+      aspect: 2,
+      x: 100,
+      y: 25,
+      width: 0,
+      height: 0,
+    });
+  });
+
+  it('draws a new crop from the press point', () => {
+    const crop = {
+      unit: 'px',
+      x: 200,
+      y: 100,
+      width: 0,
+      height: 0,
+    };
+    const evData = createNewCropDragData(crop, { x: 200, y: 100 });
+
+    expect(moveCrop(crop, evData, { x: 150, y: 60 }, imageWidth, imageHeight, noLimits)).toMatchObject({
+      x: 150,
+      y: 60,
+      width: 50,
+      height: 40,
+    });
+  });
+});
+
+describe('crossing over', () => {
+  it('flips a crop dragged over its opposite edge', () => {
+    expect(drag(startCrop, 'e', [[150, 100], [60, 100]])).toMatchObject({ x: 60, width: 40 });
+    expect(drag(startCrop, 's', [[150, 20]])).toMatchObject({ y: 20, height: 30 });
+  });
+
+  it('flips a crop dragged over the opposite corner, slowly or in one move', () => {
+    const expected = {
+      x: 60,
+      y: 20,
+      width: 40,
+      height: 30,
+    };
+
+    expect(drag(startCrop, 'se', [[150, 100], [100, 50], [60, 20]])).toMatchObject(expected);
+    expect(drag(startCrop, 'se', [[60, 20]])).toMatchObject(expected);
+  });
+
+  it('flips back when dragged back', () => {
+    expect(drag(startCrop, 'se', [[60, 20], [220, 170]])).toMatchObject({
+      x: 100,
+      y: 50,
+      width: 120,
+      height: 120,
+    });
+  });
+
+  it('keeps a fixed aspect when moving fast from sw to ne', () => {
+    const crop = { ...startCrop, aspect: 1 };
+    // One big jump over the opposite corner.
+    const nextCrop = drag(crop, 'sw', [[260, -20]]);
+
+    expect(nextCrop.width).toBeCloseTo(nextCrop.height);
+    expectContained(nextCrop);
+  });
+});
+
+describe('snapCrop', () => {
+  it('snaps a moved crop by its edges or centre', () => {
+    const evData = createDragData(startCrop, { x: 150, y: 100 }, undefined);
+    const { crop, guides } = snapCrop({ ...startCrop, x: 5, y: 47 }, evData, [0, 200, 400], [0, 100, 200], 8, imageWidth, imageHeight, noLimits);
+
+    expect(crop).toMatchObject({ x: 0, y: 50 });
+    expect(guides).toEqual([{ axis: 'x', position: 0 }, { axis: 'y', position: 100 }]);
+  });
+
+  it('snaps the resized edge of a % crop, and not past the limits', () => {
+    const crop = {
+      unit: '%',
+      x: 25,
+      y: 25,
+      width: 25,
+      height: 50,
+    };
+    const evData = createDragData(crop, { x: 200, y: 100 }, 'e');
+    // The right edge is at 292px.
+    const resized = { ...crop, width: 48 };
+
+    expect(snapCrop(resized, evData, [300], [], 8, imageWidth, imageHeight, noLimits).crop).toMatchObject({ x: 25, width: 50 });
+    expect(snapCrop(resized, evData, [286], [], 8, imageWidth, imageHeight, { ...noLimits, minWidth: 47 })).toEqual({
+      crop: resized,
+      guides: null,
+    });
+  });
+});
+
+describe('scaleCrop', () => {
+  it('scales around the centre within the limits and the image', () => {
+    expect(scaleCrop(startCrop, 1.5, imageWidth, imageHeight, noLimits)).toMatchObject({
+      x: 75,
+      y: 25,
+      width: 150,
+      height: 150,
+    });
+    // No taller than the image.
+    expect(scaleCrop(startCrop, 3, imageWidth, imageHeight, noLimits)).toMatchObject({ y: 0, width: 200, height: 200 });
+    expect(scaleCrop(startCrop, 0.1, imageWidth, imageHeight, { ...noLimits, minWidth: 50 })).toMatchObject({ width: 50 });
+  });
+
+  it('keeps the corners of a rotated crop inside the image', () => {
+    const rotatedCrop = { ...startCrop, angle: 45 };
+    const scaled = scaleCrop(rotatedCrop, 2, imageWidth, imageHeight, noLimits);
+
+    expect(isCropContained(scaled, imageWidth, imageHeight)).toBe(true);
+    expect(scaled.angle).toBe(45);
+    expect(scaled.width).toBeCloseTo(scaled.height);
+    expect(scaled.width).toBeGreaterThan(startCrop.width);
+  });
+});
+
+describe('keyboardResizeCrop', () => {
+  it('moves the edges of a handle by the step', () => {
+    expect(keyboardResizeCrop(startCrop, 'se', 10, 0, imageWidth, imageHeight, noLimits)).toMatchObject({
+      x: 100,
+      width: 110,
+      height: 100,
+    });
+    expect(keyboardResizeCrop({ ...startCrop, aspect: 1 }, 'nw', -10, 0, imageWidth, imageHeight, noLimits)).toMatchObject({
+      x: 90,
+      y: 40,
+      width: 110,
+      height: 110,
+    });
+  });
+
+  it('stops at the image and the limits', () => {
+    expect(keyboardResizeCrop(startCrop, 'e', 500, 0, imageWidth, imageHeight, noLimits)).toMatchObject({ width: 300 });
+    expect(keyboardResizeCrop(startCrop, 'w', 80, 0, imageWidth, imageHeight, { ...noLimits, minWidth: 40 })).toMatchObject({
+      x: 160,
+      width: 40,
+    });
+  });
+});
+
+describe('straightenYPath', () => {
+  it('keeps the pointer on the diagonal of a fixed aspect crop', () => {
+    const evData = createDragData({ ...startCrop, aspect: 2, height: 50 }, { x: 200, y: 100 }, 'se', { left: 100, top: 50 });
+    // The diagonal through (100, 50) and (200, 100).
+    expect(straightenYPath(evData, 300)).toBeCloseTo(150);
+
+    const neData = createDragData({ ...startCrop, aspect: 2, height: 50 }, { x: 200, y: 50 }, 'ne', { left: 100, top: 50 });
+    // The diagonal through (100, 100) and (200, 50).
+    expect(straightenYPath(neData, 300)).toBeCloseTo(0);
+  });
+});
+
+describe('random drags', () => {
+  function randomCrop(random, unit, aspect) {
+    const maxWidth = unit === 'px' ? imageWidth : 100;
+    const maxHeight = unit === 'px' ? imageHeight : 100;
+    const x = random.between(0, maxWidth / 2);
+    const y = random.between(0, maxHeight / 2);
+    const width = random.between(5, maxWidth - x);
+
+    return {
+      unit,
+      aspect,
+      x,
+      y,
+      width,
+      height: aspect ? Math.min(width / aspect, maxHeight - y) : random.between(5, maxHeight - y),
+    };
+  }
+
+  // A few steps of a drag, some of them far outside the image.
+  function randomPath(random) {
+    const steps = Math.floor(random.between(1, 8));
+    return Array.from({ length: steps }, () => [random.between(-200, 600), random.between(-200, 400)]);
+  }
+
+  it('never leave the image', () => {
+    forAllSeeds(300, (random) => {
+      const unit = random.pick(['px', '%']);
+      const crop = randomCrop(random, unit);
+      const ord = random.pick([undefined, ...handleOrds]);
+      const evData = createDragData(crop, { x: 0, y: 0 }, ord);
+
+      evData.fromCenter = random() < 0.2;
+      randomPath(random).reduce((current, [x, y]) => {
+        const nextCrop = moveCrop(current, evData, { x, y }, imageWidth, imageHeight, noLimits);
+        expectContained(nextCrop);
+        return nextCrop;
+      }, crop);
+    });
+  });
+
+  it('keep a fixed aspect', () => {
+    forAllSeeds(300, (random) => {
+      const aspect = random.pick([0.5, 1, 16 / 9]);
+      const crop = randomCrop(random, 'px', aspect);
+      const ord = random.pick(xyOrds);
+      const evData = createDragData(crop, getHandlePosition(crop, ord), ord, { left: crop.x, top: crop.y });
+
+      randomPath(random).reduce((current, [x, y]) => {
+        const nextCrop = moveCrop(current, evData, { x, y }, imageWidth, imageHeight, noLimits);
+
+        expectContained(nextCrop);
+
+        if (nextCrop.height) {
+          expect(nextCrop.width / nextCrop.height).toBeCloseTo(aspect);
+        }
+
+        return nextCrop;
+      }, crop);
+    });
+  });
+
+  it('keep rotated crops inside the image', () => {
+    forAllSeeds(200, (random) => {
+      const crop = {
+        unit: 'px',
+        angle: random.between(-90, 90),
+        x: 150,
+        y: 75,
+        width: 100,
+        height: 50,
+      };
+      const ord = random.pick([undefined, ...handleOrds]);
+      const evData = createDragData(crop, { x: 200, y: 100 }, ord);
+
+      randomPath(random).reduce((current, [x, y]) => {
+        const nextCrop = moveCrop(current, evData, { x, y }, imageWidth, imageHeight, noLimits);
+        expect(isCropContained(nextCrop, imageWidth, imageHeight)).toBe(true);
+        return nextCrop;
+      }, crop);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/* eslint-env jest */
+import { toCropString, parseCropString } from '../lib/cropString';
+import { forAllSeeds } from './helpers';
+
+const image = {
+  width: 400,
+  height: 200,
+  naturalWidth: 1600,
+  naturalHeight: 800,
+};
+
+const percentCrop = {
+  unit: '%',
+  x: 10,
+  y: 20,
+  width: 50,
+  height: 25,
+};
+
+// The same crop, in natural pixels of the image.
+const naturalCrop = {
+  unit: 'natural',
+  x: 160,
+  y: 160,
+  width: 800,
+  height: 200,
+};
+
+describe('toCropString', () => {
+  it('writes IIIF regions in percent or natural pixels', () => {
+    expect(toCropString(percentCrop, 'iiif')).toBe('pct:10,20,50,25');
+    expect(toCropString({ ...percentCrop, unit: 'px' }, 'iiif', image)).toBe('40,80,200,100');
+  });
+
+  it('writes imgix and cloudinary crops in natural pixels', () => {
+    expect(toCropString(percentCrop, 'imgix', image)).toBe('rect=160,160,800,200');
+    expect(toCropString(naturalCrop, 'cloudinary')).toBe('c_crop,h_200,w_800,x_160,y_160');
+  });
+
+  it('writes css insets', () => {
+    expect(toCropString(percentCrop, 'css')).toBe('inset(20% 40% 55% 10%)');
+    expect(toCropString(naturalCrop, 'css', image)).toBe('inset(160px 640px 440px 160px)');
+  });
+
+  it('rounds the edges to whole pixels', () => {
+    const crop = {
+      unit: 'natural',
+      x: 0.4,
+      y: 0,
+      width: 10.4,
+      height: 10,
+    };
+
+    expect(toCropString(crop, 'imgix')).toBe('rect=0,0,11,10');
+  });
+
+  it('needs the image size to convert units', () => {
+    expect(() => toCropString(percentCrop, 'imgix')).toThrow(/image size/);
+    expect(() => toCropString(percentCrop, 'jpeg')).toThrow(/Unknown crop string format/);
+  });
+
+  it('only writes rectangles', () => {
+    expect(() => toCropString({ ...percentCrop, angle: 10 }, 'iiif')).toThrow(/Only rectangle crops/);
+    expect(() => toCropString({ ...percentCrop, points: [{ x: 10, y: 20 }] }, 'css')).toThrow(/Only rectangle crops/);
+    expect(() => toCropString({ ...naturalCrop, corners: {} }, 'imgix')).toThrow(/Only rectangle crops/);
+    expect(toCropString({ ...percentCrop, angle: 0 }, 'iiif')).toBe('pct:10,20,50,25');
+  });
+});
+
+describe('parseCropString', () => {
+  it('reads IIIF regions', () => {
+    expect(parseCropString('pct:10,20,50,25', 'iiif')).toEqual(percentCrop);
+    expect(parseCropString('160,160,800,200', 'iiif')).toEqual(naturalCrop);
+    expect(parseCropString('full', 'iiif')).toMatchObject({ unit: '%', width: 100, height: 100 });
+    expect(parseCropString('square', 'iiif', image)).toMatchObject({ x: 400, width: 800, height: 800 });
+  });
+
+  it('reads imgix and cloudinary crops, alone or in a url', () => {
+    expect(parseCropString('rect=160,160,800,200', 'imgix')).toEqual(naturalCrop);
+    expect(parseCropString('https://a.imgix.net/b.jpg?w=300&rect=160%2C160%2C800%2C200', 'imgix')).toEqual(naturalCrop);
+    expect(parseCropString('y_160,x_160,w_800,h_200,c_crop', 'cloudinary')).toEqual(naturalCrop);
+    expect(parseCropString('image/upload/c_crop,h_200,w_800,x_160,y_160/w_300/b.jpg', 'cloudinary')).toEqual(naturalCrop);
+  });
+
+  it('reads css insets, using the image size for px', () => {
+    expect(parseCropString('inset(20% 40% 55% 10%)', 'css')).toEqual(percentCrop);
+    expect(parseCropString('inset(25%)', 'css')).toMatchObject({ x: 25, width: 50 });
+    expect(parseCropString('inset(160px 40% 440px 10%)', 'css', image)).toEqual(naturalCrop);
+    expect(() => parseCropString('inset(160px 640px)', 'css')).toThrow(/image size/);
+  });
+
+  it('rejects what it cannot read', () => {
+    expect(() => parseCropString('10,20,30', 'iiif')).toThrow();
+    expect(() => parseCropString('pct:a,b,c,d', 'iiif')).toThrow();
+    expect(() => parseCropString('0,0,0,10', 'iiif')).toThrow(/no size/);
+    expect(() => parseCropString('w=300', 'imgix')).toThrow();
+    expect(() => parseCropString('c_crop,g_center,w_10,h_10', 'cloudinary')).toThrow(/gravity/);
+    expect(() => parseCropString('inset(10)', 'css')).toThrow();
+  });
+
+  it('round trips every format', () => {
+    forAllSeeds(100, (random) => {
+      const x = Math.round(random.between(0, 1500));
+      const y = Math.round(random.between(0, 700));
+      const crop = {
+        unit: 'natural',
+        x,
+        y,
+        width: Math.round(random.between(1, 1600 - x)),
+        height: Math.round(random.between(1, 800 - y)),
+      };
+
+      ['iiif', 'imgix', 'cloudinary', 'css'].forEach((format) => {
+        expect(parseCropString(toCropString(crop, format, image), format, image)).toEqual(crop);
+      });
+    });
+  });
+});
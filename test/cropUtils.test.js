@@ -0,0 +1,318 @@
+/* eslint-env jest */
+import {
+  makeAspectCrop,
+  containCrop,
+  isCropContained,
+  convertToPercentCrop,
+  convertToPixelCrop,
+  convertToNaturalCrop,
+  convertLimits,
+  validateCrop,
+} from '../lib/cropUtils';
+import { forAllSeeds } from './helpers';
+
+const imageWidth = 400;
+const imageHeight = 200;
+
+function randomCrop(random, unit, maxWidth, maxHeight) {
+  const x = random.between(0, maxWidth);
+  const y = random.between(0, maxHeight);
+
+  return {
+    unit,
+    x,
+    y,
+    width: random.between(1, maxWidth - x),
+    height: random.between(1, maxHeight - y),
+  };
+}
+
+function expectContained(crop, width = imageWidth, height = imageHeight) {
+  const maxWidth = crop.unit === 'px' ? width : 100;
+  const maxHeight = crop.unit === 'px' ? height : 100;
+
+  expect(crop.x).toBeGreaterThanOrEqual(-1e-9);
+  expect(crop.y).toBeGreaterThanOrEqual(-1e-9);
+  expect(crop.x + crop.width).toBeLessThanOrEqual(maxWidth + 1e-9);
+  expect(crop.y + crop.height).toBeLessThanOrEqual(maxHeight + 1e-9);
+}
+
+describe('makeAspectCrop', () => {
+  it('gives a px crop the aspect', () => {
+    const crop = makeAspectCrop({ unit: 'px', aspect: 2, width: 100 }, imageWidth, imageHeight);
+    expect(crop).toMatchObject({ width: 100, height: 50 });
+  });
+
+  it('gives a % crop the aspect in pixels of the image', () => {
+    const crop = makeAspectCrop({ unit: '%', aspect: 1, width: 25 }, imageWidth, imageHeight);
+    expect(crop.width).toBe(25);
+    expect((crop.height / 100) * imageHeight).toBeCloseTo((crop.width / 100) * imageWidth);
+  });
+
+  it('shrinks a crop with aspect limits to the closest allowed aspect', () => {
+    const crop = makeAspectCrop({
+      unit: 'px',
+      width: 300,
+      height: 100,
+      maxAspect: 2,
+    }, imageWidth, imageHeight);
+
+    expect(crop.width / crop.height).toBeCloseTo(2);
+  });
+
+  it('picks the closest aspect preset', () => {
+    const crop = makeAspectCrop({
+      unit: 'px',
+      width: 100,
+      height: 90,
+      aspectPresets: [16 / 9, 1, 9 / 16],
+    }, imageWidth, imageHeight);
+
+    expect(crop.width / crop.height).toBeCloseTo(1);
+  });
+
+  it('sizes a natural crop in pixels of the natural image', () => {
+    const crop = makeAspectCrop({ unit: 'natural', aspect: 1, width: 500 }, 1600, 800);
+    expect(crop).toMatchObject({ unit: 'natural', width: 500, height: 500 });
+  });
+});
+
+describe('containCrop', () => {
+  it('keeps a natural crop in pixels of the natural image', () => {
+    const crop = {
+      unit: 'natural',
+      x: 0,
+      y: 0,
+      width: 500,
+      height: 500,
+    };
+
+    expect(containCrop(crop, crop, 1600, 800)).toEqual(crop);
+    expect(isCropContained(crop, 1600, 800)).toBe(true);
+    expect(containCrop(crop, { ...crop, x: 1200 }, 1600, 800)).toMatchObject({ x: 1200, width: 400, height: 500 });
+  });
+
+  it('trims a free crop to the image', () => {
+    const crop = containCrop({}, {
+      unit: 'px',
+      x: -20,
+      y: 150,
+      width: 100,
+      height: 100,
+    }, imageWidth, imageHeight);
+
+    expect(crop).toMatchObject({
+      x: 0,
+      y: 150,
+      width: 80,
+      height: 50,
+    });
+  });
+
+  it('keeps crops resized from a corner inside the image and keeps their aspect', () => {
+    forAllSeeds(200, (random) => {
+      const unit = random.pick(['px', '%']);
+      const maxWidth = unit === 'px' ? imageWidth : 100;
+      const maxHeight = unit === 'px' ? imageHeight : 100;
+      const aspect = random.pick([undefined, 0.5, 1, 16 / 9]);
+      const prevCrop = { ...randomCrop(random, unit, maxWidth, maxHeight), aspect };
+      // The corner which stays where it is, like the engine resizing from the opposite handle.
+      const growsLeft = random() < 0.5;
+      const growsUp = random() < 0.5;
+      const anchorX = growsLeft ? prevCrop.x + prevCrop.width : prevCrop.x;
+      const anchorY = growsUp ? prevCrop.y + prevCrop.height : prevCrop.y;
+      // Like the engine, don't grow past the top of the image.
+      let height = random.between(1, maxHeight * 2);
+      let width = random.between(1, maxWidth * 2);
+
+      if (growsUp) {
+        height = Math.min(height, anchorY);
+      }
+
+      if (aspect) {
+        width = height * aspect;
+      }
+
+      const crop = {
+        unit,
+        aspect,
+        x: growsLeft ? anchorX - width : anchorX,
+        y: growsUp ? anchorY - height : anchorY,
+        width,
+        height,
+      };
+      const contained = containCrop(prevCrop, crop, imageWidth, imageHeight);
+
+      expectContained(contained);
+
+      if (aspect) {
+        expect(contained.width / contained.height).toBeCloseTo(aspect);
+      }
+    });
+  });
+
+  it('keeps all the corners of rotated crops inside the image', () => {
+    forAllSeeds(200, (random) => {
+      const crop = {
+        unit: 'px',
+        angle: random.between(-180, 180),
+        x: random.between(-100, imageWidth),
+        y: random.between(-100, imageHeight),
+        width: random.between(1, imageWidth),
+        height: random.between(1, imageHeight),
+      };
+      const contained = containCrop(crop, crop, imageWidth, imageHeight);
+
+      expect(isCropContained(contained, imageWidth, imageHeight)).toBe(true);
+      expect(contained.width / contained.height).toBeCloseTo(crop.width / crop.height);
+    });
+  });
+});
+
+describe('unit conversions', () => {
+  it('converts between px and %', () => {
+    const percentCrop = convertToPercentCrop({
+      unit: 'px',
+      x: 100,
+      y: 50,
+      width: 200,
+      height: 100,
+    }, imageWidth, imageHeight);
+
+    expect(percentCrop).toMatchObject({
+      unit: '%',
+      x: 25,
+      y: 25,
+      width: 50,
+      height: 50,
+    });
+  });
+
+  it('round trips px and % crops', () => {
+    forAllSeeds(200, (random) => {
+      const pixelCrop = randomCrop(random, 'px', imageWidth, imageHeight);
+      const roundTrip = convertToPixelCrop(convertToPercentCrop(pixelCrop, imageWidth, imageHeight), imageWidth, imageHeight);
+
+      ['x', 'y', 'width', 'height'].forEach(key => expect(roundTrip[key]).toBeCloseTo(pixelCrop[key], 9));
+
+      const percentCrop = randomCrop(random, '%', 100, 100);
+      const percentRoundTrip = convertToPercentCrop(convertToPixelCrop(percentCrop, imageWidth, imageHeight), imageWidth, imageHeight);
+
+      ['x', 'y', 'width', 'height'].forEach(key => expect(percentRoundTrip[key]).toBeCloseTo(percentCrop[key], 9));
+    });
+  });
+
+  it('round trips natural crops', () => {
+    forAllSeeds(100, (random) => {
+      const naturalCrop = randomCrop(random, 'natural', 1600, 800);
+      const pixelCrop = convertToPixelCrop(naturalCrop, imageWidth, imageHeight, 1600, 800);
+      const roundTrip = convertToNaturalCrop(pixelCrop, imageWidth, imageHeight, 1600, 800);
+
+      expect(pixelCrop.width).toBeCloseTo(naturalCrop.width / 4);
+      ['x', 'y', 'width', 'height'].forEach(key => expect(roundTrip[key]).toBeCloseTo(naturalCrop[key], 9));
+    });
+  });
+
+  it('scales polygon points', () => {
+    const percentCrop = convertToPercentCrop({
+      unit: 'px',
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 100,
+      points: [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 100, y: 100 }],
+    }, imageWidth, imageHeight);
+
+    expect(percentCrop.points).toEqual([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 25, y: 50 }]);
+  });
+
+  it('keeps the other fields of the crop', () => {
+    const naturalCrop = {
+      unit: 'natural',
+      x: 0,
+      y: 0,
+      width: 800,
+      height: 400,
+      aspectPresets: [1, 2],
+      locked: true,
+    };
+    const fields = { aspectPresets: [1, 2], locked: true };
+
+    expect(convertToPixelCrop(naturalCrop, imageWidth, imageHeight, 1600, 800)).toMatchObject({ unit: 'px', width: 200, ...fields });
+    expect(convertToPercentCrop(naturalCrop, imageWidth, imageHeight, 1600, 800)).toMatchObject({ unit: '%', width: 50, ...fields });
+    expect(convertToNaturalCrop({ ...naturalCrop, unit: 'px' }, imageWidth, imageHeight, 1600, 800)).toMatchObject({
+      unit: 'natural',
+      width: 3200,
+      ...fields,
+    });
+  });
+});
+
+describe('validateCrop', () => {
+  it('accepts a crop inside the image', () => {
+    expect(validateCrop({
+      unit: '%',
+      x: 10,
+      y: 10,
+      width: 50,
+      height: 50,
+    }, imageWidth, imageHeight)).toEqual([]);
+  });
+
+  it('rejects crops which are not crops', () => {
+    expect(validateCrop(null, imageWidth, imageHeight)).toHaveLength(1);
+    expect(validateCrop({ unit: 'em' }, imageWidth, imageHeight)).toHaveLength(1);
+    expect(validateCrop({
+      unit: 'px',
+      x: '0',
+      y: 0,
+      width: NaN,
+      height: 10,
+    }, imageWidth, imageHeight)).toHaveLength(2);
+  });
+
+  it('rejects crops outside the image or with the wrong aspect', () => {
+    const errors = validateCrop({
+      unit: 'px',
+      aspect: 1,
+      x: 350,
+      y: 0,
+      width: 100,
+      height: 50,
+    }, imageWidth, imageHeight);
+
+    expect(errors).toHaveLength(2);
+  });
+
+  it('checks the size limits', () => {
+    const crop = {
+      unit: 'natural',
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 100,
+    };
+    const options = { naturalWidth: 800, naturalHeight: 400 };
+
+    expect(validateCrop(crop, imageWidth, imageHeight, { ...options, minWidth: 100 })).toEqual([]);
+    expect(validateCrop(crop, imageWidth, imageHeight, { ...options, minWidth: 200 })).toHaveLength(1);
+    expect(validateCrop(crop, imageWidth, imageHeight, { ...options, maxHeight: 50 })).toHaveLength(1);
+  });
+});
+
+describe('convertLimits', () => {
+  it('converts limits to the unit of the crop, keeping unset maxes unset', () => {
+    expect(convertLimits({ minWidth: 40, maxWidth: 200 }, '%', imageWidth, imageHeight)).toEqual({
+      minWidth: 10,
+      maxWidth: 50,
+      minHeight: 0,
+      maxHeight: undefined,
+    });
+    expect(convertLimits({ minHeight: 100 }, 'px', imageWidth, imageHeight, 800, 400)).toEqual({
+      minWidth: 0,
+      maxWidth: undefined,
+      minHeight: 50,
+      maxHeight: undefined,
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+import getCroppedImage, { getCropOutputSize } from '../lib/getCroppedImage';
+
+// A 400 by 200 image shown at half its natural size.
+const image = {
+  width: 400,
+  height: 200,
+  naturalWidth: 800,
+  naturalHeight: 400,
+};
+
+// Stands in for the document, so the canvas is a plain object which records what's drawn on it.
+function withCanvas(media) {
+  const ctx = { drawImage: jest.fn() };
+  const canvas = {
+    getContext: () => ctx,
+    toDataURL: () => 'data:',
+  };
+
+  return {
+    ctx,
+    canvas,
+    media: { ...media, ownerDocument: { createElement: () => canvas } },
+  };
+}
+
+describe('getCropOutputSize', () => {
+  it('is the natural size of the cropped area in every unit', () => {
+    const size = { width: 200, height: 100 };
+
+    expect(getCropOutputSize(image, {
+      unit: 'px',
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 50,
+    })).toEqual(size);
+    expect(getCropOutputSize(image, {
+      unit: '%',
+      x: 0,
+      y: 0,
+      width: 25,
+      height: 25,
+    })).toEqual(size);
+    expect(getCropOutputSize(image, {
+      unit: 'natural',
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 100,
+    })).toEqual(size);
+  });
+
+  it('scales to the options and turns with the crop', () => {
+    const crop = {
+      unit: 'px',
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 50,
+    };
+
+    expect(getCropOutputSize(image, crop, { width: 100 })).toEqual({ width: 100, height: 50 });
+    expect(getCropOutputSize(image, crop, { maxDimension: 50 })).toEqual({ width: 50, height: 25 });
+    expect(getCropOutputSize(image, { ...crop, rotate: 90 })).toEqual({ width: 100, height: 200 });
+  });
+
+  it('sizes perspective crops by their longest edges', () => {
+    const crop = {
+      unit: 'natural',
+      x: 0,
+      y: 0,
+      width: 300,
+      height: 200,
+      corners: {
+        nw: { x: 0, y: 0 },
+        ne: { x: 300, y: 50 },
+        se: { x: 200, y: 200 },
+        sw: { x: 0, y: 150 },
+      },
+    };
+
+    expect(getCropOutputSize(image, crop)).toEqual({ width: 304, height: 180 });
+  });
+});
+
+describe('getCroppedImage', () => {
+  it('draws the crop from the natural pixels of the image', () => {
+    const { ctx, canvas, media } = withCanvas(image);
+
+    return getCroppedImage(media, {
+      unit: 'px',
+      x: 100,
+      y: 50,
+      width: 100,
+      height: 50,
+    }, { output: 'canvas' }).then((result) => {
+      expect(result).toBe(canvas);
+      expect(canvas).toMatchObject({ width: 200, height: 100 });
+      expect(ctx.drawImage).toHaveBeenCalledWith(media, 200, 100, 200, 100, 0, 0, 200, 100);
+    });
+  });
+
+  it('encodes the canvas', () => {
+    const { media } = withCanvas(image);
+
+    return expect(getCroppedImage(media, { unit: '%', width: 50, height: 50 }, { output: 'dataUrl' })).resolves.toBe('data:');
+  });
+
+  it('rejects a crop without a size', () => {
+    const { media } = withCanvas(image);
+
+    return expect(getCroppedImage(media, { unit: 'px', width: 0, height: 50 })).rejects.toThrow('getCroppedImage');
+  });
+});
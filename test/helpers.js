@@ -0,0 +1,172 @@
+/* eslint-env jest */
+/* globals document */
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import { act, Simulate } from 'react-dom/test-utils';
+import ReactCrop from '../lib/ReactCrop';
+
+// A seeded random number generator (Park-Miller), so a failing property test can be replayed.
+export function createRandom(seed) {
+  let state = seed;
+
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+
+  random.between = (min, max) => min + (random() * (max - min));
+  random.pick = items => items[Math.floor(random() * items.length)];
+
+  return random;
+}
+
+// Checks `property` against `runs` seeds, naming the seed in the failure.
+export function forAllSeeds(runs, property) {
+  for (let seed = 1; seed <= runs; seed += 1) {
+    try {
+      property(createRandom(seed));
+    } catch (err) {
+      err.message = `Failed with seed ${seed}: ${err.message}`;
+      throw err;
+    }
+  }
+}
+
+// jsdom doesn't lay anything out, so give the image the size it would have.
+export function setMediaSize(media, width, height, naturalWidth = width, naturalHeight = height) {
+  Object.defineProperties(media, {
+    width: { value: width, configurable: true },
+    height: { value: height, configurable: true },
+    naturalWidth: { value: naturalWidth, configurable: true },
+    naturalHeight: { value: naturalHeight, configurable: true },
+  });
+}
+
+/**
+ * Renders a controlled ReactCrop over a loaded `width` by `height` image at the top left of the
+ * page, so page positions are pixels of the image. The crop is kept in the unit it started in.
+ * With `controlled` false there's no `crop` prop and ReactCrop keeps the crop itself. With `crops`
+ * the crops are kept in the unit of the pixel crops (px, or natural).
+ *
+ * @param {Object} [cropProps] - Props for ReactCrop, `crop` (or `crops`) is the initial crop.
+ * @param {Object} [size] - `width`, `height`, `naturalWidth` and `naturalHeight` of the image.
+ * @param {Object} [renderOptions] - `controlled`, true by default, and `sameCallback` to pass the
+ *   onChange handler as onComplete too.
+ */
+export function renderCrop(cropProps = {}, size = {}, renderOptions = {}) {
+  const {
+    width = 400,
+    height = 200,
+    naturalWidth,
+    naturalHeight,
+  } = size;
+  const { controlled = true, sameCallback = false } = renderOptions;
+  const cropRef = cropProps.ref || React.createRef();
+  const container = document.createElement('div');
+  const onChange = jest.fn();
+  const onComplete = jest.fn();
+  let currentCrop = cropProps.crop;
+  let currentCrops = cropProps.crops;
+
+  function Cropper() {
+    const [crop, setCrop] = useState(cropProps.crop);
+    const [crops, setCrops] = useState(cropProps.crops);
+
+    if (!controlled) {
+      return <ReactCrop src="image.jpg" {...cropProps} ref={cropRef} onChange={onChange} onComplete={onComplete} />;
+    }
+
+    if (crops) {
+      return (
+        <ReactCrop
+          src="image.jpg"
+          {...cropProps}
+          ref={cropRef}
+          crops={crops}
+          onChange={(pixelCrops, percentCrops, index) => {
+            currentCrops = pixelCrops;
+            onChange(pixelCrops, percentCrops, index);
+            setCrops(pixelCrops);
+          }}
+          onComplete={onComplete}
+        />
+      );
+    }
+
+    const handleChange = (pixelCrop, percentCrop) => {
+      currentCrop = crop && crop.unit === '%' ? percentCrop : pixelCrop;
+      onChange(pixelCrop, percentCrop);
+      setCrop(currentCrop);
+    };
+
+    return (
+      <ReactCrop
+        src="image.jpg"
+        {...cropProps}
+        ref={cropRef}
+        crop={crop}
+        onChange={handleChange}
+        onComplete={sameCallback ? handleChange : onComplete}
+      />
+    );
+  }
+
+  document.body.appendChild(container);
+  act(() => {
+    ReactDOM.render(<Cropper />, container);
+  });
+
+  const component = container.querySelector('.ReactCrop');
+  const image = container.querySelector('img');
+
+  setMediaSize(image, width, height, naturalWidth, naturalHeight);
+  act(() => {
+    Simulate.load(image);
+  });
+
+  const fire = (type, target, eventData) => {
+    act(() => {
+      Simulate[type](target, eventData);
+    });
+  };
+  const pointer = (x, y, options = {}) => ({
+    pointerId: 1,
+    pointerType: 'mouse',
+    pageX: x,
+    pageY: y,
+    ...options,
+  });
+
+  return {
+    container,
+    component,
+    image,
+    onChange,
+    onComplete,
+    // The ReactCrop instance.
+    cropRef,
+    getCrop: () => (controlled ? currentCrop : cropRef.current.getCrop()),
+    getCrops: () => currentCrops,
+    // A handle of the (first) selection, e.g. 'se', or the selection itself without an `ord`.
+    getHandle: ord => container.querySelector(ord ? `.ReactCrop__crop-selection [data-ord="${ord}"]` : '.ReactCrop__crop-selection'),
+    getSelections: () => container.querySelectorAll('.ReactCrop__crop-selection'),
+    pointerDown: (target, x, y, options) => fire('pointerDown', target, pointer(x, y, options)),
+    pointerMove: (x, y, options) => fire('pointerMove', component, pointer(x, y, options)),
+    pointerUp: (x, y, options) => fire('pointerUp', component, pointer(x, y, options)),
+    pointerCancel: (x, y, options) => fire('pointerCancel', component, pointer(x, y, options)),
+    // Presses a handle (or the selection, or the image) and drags it through `points`.
+    drag(target, from, points, options) {
+      this.pointerDown(target, from[0], from[1], options);
+      points.forEach(([x, y]) => this.pointerMove(x, y, options));
+      const [x, y] = points.length ? points[points.length - 1] : from;
+      this.pointerUp(x, y, options);
+    },
+    // Runs `callback` (e.g. calling a ReactCrop method) and renders what it changes.
+    act: callback => act(callback),
+    keyDown: (target, keyCode, options) => fire('keyDown', target, { which: keyCode, keyCode, ...options }),
+    unmount() {
+      ReactDOM.unmountComponentAtNode(container);
+      container.remove();
+    },
+  };
+}
@@ -0,0 +1,110 @@
+/* eslint-env jest */
+/* globals HTMLCanvasElement */
+import { makeInitialCrop } from '../lib/initialCrop';
+
+// getMediaSize only reads the size.
+const media = {
+  width: 400,
+  height: 200,
+  naturalWidth: 400,
+  naturalHeight: 200,
+};
+
+describe('makeInitialCrop', () => {
+  it('centres a box at a percentage of the image', () => {
+    expect(makeInitialCrop(media, { unit: 'px' }, 'center')).toMatchObject({
+      x: 40,
+      y: 20,
+      width: 320,
+      height: 160,
+    });
+    expect(makeInitialCrop(media, { unit: '%' }, { strategy: 'center', size: 50 })).toMatchObject({
+      x: 25,
+      y: 25,
+      width: 50,
+      height: 50,
+    });
+  });
+
+  it('fits the largest box with the aspect', () => {
+    expect(makeInitialCrop(media, { unit: 'px', aspect: 1 }, 'fit')).toMatchObject({
+      aspect: 1,
+      x: 100,
+      y: 0,
+      width: 200,
+      height: 200,
+    });
+
+    // The allowed aspect closest to the image's 2:1.
+    const crop = makeInitialCrop(media, { unit: 'px', aspectPresets: [1, 16 / 9] }, 'fit');
+    expect(crop.width / crop.height).toBeCloseTo(16 / 9);
+    expect(crop.height).toBeCloseTo(200);
+  });
+
+  it('fills the image', () => {
+    expect(makeInitialCrop(media, { unit: '%' }, 'fill')).toMatchObject({
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 100,
+    });
+  });
+
+  it('keeps to the max limits', () => {
+    expect(makeInitialCrop(media, { unit: 'px', aspect: 1 }, 'fit', { maxWidth: 100 })).toMatchObject({
+      x: 150,
+      y: 50,
+      width: 100,
+      height: 100,
+    });
+  });
+
+  describe('smart', () => {
+    let getContext;
+
+    beforeEach(() => {
+      ({ getContext } = HTMLCanvasElement.prototype);
+    });
+
+    afterEach(() => {
+      HTMLCanvasElement.prototype.getContext = getContext;
+    });
+
+    // A black image with a white square at the right.
+    function mockCanvas() {
+      HTMLCanvasElement.prototype.getContext = function getMockContext() {
+        return {
+          drawImage: () => {},
+          getImageData: (x, y, width, height) => {
+            const data = new Uint8ClampedArray(width * height * 4);
+
+            for (let row = height / 4; row < (height * 3) / 4; row += 1) {
+              for (let col = width - (height / 2); col < width; col += 1) {
+                data.fill(255, ((row * width) + col) * 4, (((row * width) + col) * 4) + 3);
+              }
+            }
+
+            return { data };
+          },
+        };
+      };
+    }
+
+    it('moves the box to where the edges are', () => {
+      mockCanvas();
+      const crop = makeInitialCrop(media, { unit: 'px', aspect: 1 }, { strategy: 'smart', size: 50 });
+
+      expect(crop.width).toBe(100);
+      expect(crop.x).toBeGreaterThan(250);
+    });
+
+    it('falls back to centring without a canvas', () => {
+      HTMLCanvasElement.prototype.getContext = () => null;
+
+      expect(makeInitialCrop(media, { unit: 'px', aspect: 1 }, { strategy: 'smart', size: 50 })).toMatchObject({
+        x: 150,
+        y: 50,
+      });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+import { getHomography, applyHomography } from '../lib/perspective';
+
+const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+function expectPoint(point, x, y) {
+  expect(point.x).toBeCloseTo(x);
+  expect(point.y).toBeCloseTo(y);
+}
+
+describe('getHomography', () => {
+  it('maps the four points onto the others', () => {
+    const quad = [{ x: 10, y: 20 }, { x: 300, y: 50 }, { x: 250, y: 220 }, { x: 0, y: 180 }];
+    const matrix = getHomography(square, quad);
+
+    square.forEach((point, i) => {
+      expectPoint(applyHomography(matrix, point), quad[i].x, quad[i].y);
+    });
+  });
+
+  it('is an affine map for a parallelogram', () => {
+    const matrix = getHomography(square, square.map(({ x, y }) => ({ x: (2 * x) + y + 5, y: y + 10 })));
+
+    expect(matrix[6]).toBeCloseTo(0);
+    expect(matrix[7]).toBeCloseTo(0);
+    expectPoint(applyHomography(matrix, { x: 50, y: 50 }), 155, 60);
+  });
+
+  it('keeps straight lines straight', () => {
+    const quad = [{ x: 0, y: 0 }, { x: 200, y: 40 }, { x: 200, y: 160 }, { x: 0, y: 200 }];
+    const matrix = getHomography(square, quad);
+    const points = [0, 25, 50, 75, 100].map(x => applyHomography(matrix, { x, y: 50 }));
+
+    // The middle of a trapezoid narrowing to the right is on its axis of symmetry.
+    points.forEach(point => expect(point.y).toBeCloseTo(100));
+    // Further away, the same steps get shorter.
+    expect(points[1].x - points[0].x).toBeGreaterThan(points[4].x - points[3].x);
+  });
+
+  it('throws for three points in a line', () => {
+    const line = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }, { x: 0, y: 100 }];
+
+    expect(() => getHomography(line, square)).toThrow('no three of which are in a line');
+  });
+});
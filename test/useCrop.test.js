@@ -0,0 +1,154 @@
+/* eslint-env jest */
+/* globals document window MouseEvent */
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { act, Simulate } from 'react-dom/test-utils';
+import useCrop from '../lib/useCrop';
+
+const startCrop = {
+  unit: 'px',
+  x: 100,
+  y: 50,
+  width: 100,
+  height: 100,
+};
+
+let container;
+
+// Renders the hook over a 400 by 200 image at the top left of the page.
+function renderCropper(options = {}, mediaProps) {
+  function Cropper() {
+    const { getMediaProps, getSelectionProps, getHandleProps } = useCrop(options);
+
+    return (
+      <div>
+        <img alt="" {...getMediaProps(mediaProps)} />
+        <div className="selection" {...getSelectionProps()}>
+          <div {...getHandleProps('se')} />
+        </div>
+      </div>
+    );
+  }
+
+  act(() => {
+    ReactDOM.render(<Cropper />, container);
+  });
+
+  const image = container.querySelector('img');
+  image.getBoundingClientRect = () => ({
+    left: 0,
+    top: 0,
+    width: 400,
+    height: 200,
+  });
+
+  return {
+    image,
+    getSelection: () => container.querySelector('.selection'),
+    getHandle: () => container.querySelector('[data-ord="se"]'),
+  };
+}
+
+function fireWindow(type, x, y) {
+  act(() => {
+    window.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y }));
+  });
+}
+
+// Presses `target` and moves the pointer through `points` (on the window, like a captured pointer).
+function drag(target, from, points) {
+  act(() => {
+    Simulate.pointerDown(target, { clientX: from[0], clientY: from[1] });
+  });
+  points.forEach(([x, y]) => fireWindow('pointermove', x, y));
+  const [x, y] = points[points.length - 1];
+  fireWindow('pointerup', x, y);
+}
+
+function lastCrop(callback) {
+  return callback.mock.calls[callback.mock.calls.length - 1][0];
+}
+
+beforeEach(() => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+});
+
+afterEach(() => {
+  ReactDOM.unmountComponentAtNode(container);
+  container.remove();
+});
+
+describe('useCrop', () => {
+  it('draws a new crop on the media', () => {
+    const onChange = jest.fn();
+    const onComplete = jest.fn();
+    const cropper = renderCropper({ onChange, onComplete });
+    drag(cropper.image, [50, 20], [[100, 60], [150, 120]]);
+
+    expect(lastCrop(onChange)).toMatchObject({
+      x: 50,
+      y: 20,
+      width: 100,
+      height: 100,
+    });
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete.mock.calls[0][1]).toMatchObject({ unit: '%', x: 12.5, width: 25 });
+    expect(cropper.getSelection().style).toMatchObject({ left: '50px', top: '20px', width: '100px' });
+  });
+
+  it('keeps the aspect limits of the crop when drawing a new one', () => {
+    const onChange = jest.fn();
+    const cropper = renderCropper({ defaultCrop: { unit: 'px', aspectPresets: [1] }, onChange });
+    drag(cropper.image, [50, 20], [[250, 120]]);
+
+    const crop = lastCrop(onChange);
+    expect(crop.aspectPresets).toEqual([1]);
+    expect(crop.width).toBeCloseTo(crop.height);
+  });
+
+  it('moves and resizes an uncontrolled crop', () => {
+    const onDragEnd = jest.fn();
+    const cropper = renderCropper({ defaultCrop: startCrop, onDragEnd });
+    drag(cropper.getSelection(), [150, 100], [[180, 80]]);
+
+    expect(cropper.getSelection().style).toMatchObject({ left: '130px', top: '30px' });
+    expect(onDragEnd).toHaveBeenCalledTimes(1);
+
+    drag(cropper.getHandle(), [230, 130], [[260, 150]]);
+    expect(cropper.getSelection().style).toMatchObject({ width: '130px', height: '120px' });
+  });
+
+  it('only reports changes to a controlled crop', () => {
+    const onChange = jest.fn();
+    const cropper = renderCropper({ crop: startCrop, onChange });
+    drag(cropper.getSelection(), [150, 100], [[180, 80]]);
+
+    expect(lastCrop(onChange)).toMatchObject({ x: 130, y: 30 });
+    expect(cropper.getSelection().style).toMatchObject({ left: '100px', top: '50px' });
+  });
+
+  it('ignores the pointer when disabled, and doesn\'t resize when locked', () => {
+    const onChange = jest.fn();
+    let cropper = renderCropper({ disabled: true, onChange });
+    drag(cropper.image, [50, 20], [[150, 120]]);
+
+    expect(onChange).not.toHaveBeenCalled();
+
+    cropper = renderCropper({ defaultCrop: startCrop, locked: true, onChange });
+    drag(cropper.getHandle(), [200, 150], [[260, 180]]);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('keeps the ref and pointer handler passed to the prop getter', () => {
+    const ref = React.createRef();
+    const onPointerDown = jest.fn();
+    const onChange = jest.fn();
+    const cropper = renderCropper({ onChange }, { ref, onPointerDown });
+    drag(cropper.image, [50, 20], [[150, 120]]);
+
+    expect(ref.current).toBe(cropper.image);
+    expect(onPointerDown).toHaveBeenCalledTimes(1);
+    expect(lastCrop(onChange)).toMatchObject({ width: 100, height: 100 });
+  });
+});